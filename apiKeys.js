@@ -0,0 +1,305 @@
+/**
+ * API KEYS MODULE
+ * Managed API keys: hashed at rest, scoped, expiring, revocable, with usage counts
+ *
+ * Keys look like fra_<48 hex chars>. Only the SHA-256 of a key is stored; the
+ * plaintext is returned once, when the key is created or rotated. Keys are
+ * high-entropy random strings, so a fast hash is enough (no salt or KDF).
+ *
+ * Scopes:
+ *   quote    - full quote breakdowns on the public pricing routes, plus the data
+ *              report and pricing history
+ *   checkout - create Stripe Checkout Sessions
+ *   session  - read paid sessions and download reports
+ *   admin    - /api/admin endpoints
+ *
+ * Rotation issues a new key with the same name and scopes and lets the old
+ * one keep working for a grace period, so clients can switch over.
+ *
+ * Storage (STORE_DIR/api_keys.json): { keys: [{ id, name, prefix, hash, scopes, expiresAt, revokedAt, usage, ... }] }
+ * Usage counters are flushed to disk every USAGE_FLUSH_MS rather than per request.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { STORE_DIR } from './orderStore.js';
+
+const KEYS_FILE = path.join(STORE_DIR, 'api_keys.json');
+
+export const API_KEY_SCOPES = ['quote', 'checkout', 'session', 'admin'];
+export const DEFAULT_ROTATION_GRACE_HOURS = 24;
+const MAX_ROTATION_GRACE_HOURS = 24 * 30;
+
+const KEY_PREFIX = 'fra_';
+const USAGE_FLUSH_MS = 30 * 1000;
+const USAGE_DAYS_KEPT = 30;
+
+let keys = [];
+let byHash = new Map();
+let writeChain = Promise.resolve();
+let usageDirty = false;
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key), 'utf-8').digest('hex');
+
+// Stand-in digest so unknown keys take the same comparison path as known ones
+const DUMMY_HASH = hashKey('fra_unknown');
+
+function reindex() {
+  byHash = new Map(keys.map(record => [record.hash, record]));
+}
+
+function persist() {
+  usageDirty = false;
+  const task = writeChain.then(async () => {
+    const tmpFile = `${KEYS_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ keys }, null, 2), 'utf-8');
+    await fs.rename(tmpFile, KEYS_FILE);
+  });
+  // Keep the chain alive after a failed write
+  writeChain = task.catch(() => {});
+  return task;
+}
+
+/**
+ * Load keys from disk (creates an empty key file if none exists)
+ * @param {object} options - { flushUsage: boolean } (false for one-off scripts)
+ * @returns {Promise<object>} { keys: number, active: number }
+ */
+export async function initApiKeys({ flushUsage = true } = {}) {
+  await fs.mkdir(STORE_DIR, { recursive: true });
+
+  try {
+    const parsed = JSON.parse(await fs.readFile(KEYS_FILE, 'utf-8'));
+    keys = parsed.keys || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    keys = [];
+  }
+  reindex();
+
+  if (flushUsage) {
+    setInterval(() => {
+      if (usageDirty) persist().catch(error => console.error('❌ API key usage flush error:', error));
+    }, USAGE_FLUSH_MS).unref();
+  }
+
+  const now = Date.now();
+  return { keys: keys.length, active: keys.filter(record => keyState(record, now) === 'active').length };
+}
+
+function keyState(record, now = Date.now()) {
+  if (record.revokedAt) return 'revoked';
+  if (record.expiresAt && Date.parse(record.expiresAt) <= now) return 'expired';
+  return 'active';
+}
+
+/**
+ * Key record without its hash (safe to return from the admin API)
+ * @param {object} record - Stored key record
+ * @returns {object}
+ */
+function publicKey(record) {
+  const { hash, ...rest } = record;
+  return { ...rest, state: keyState(record) };
+}
+
+/**
+ * List keys, newest first
+ * @returns {Array<object>}
+ */
+export function listApiKeys() {
+  return keys.slice().reverse().map(publicKey);
+}
+
+function parseScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(',');
+  const normalized = [...new Set(list.map(scope => String(scope).toLowerCase().trim()).filter(Boolean))];
+  if (normalized.length === 0) {
+    return { error: `scopes must list one or more of: ${API_KEY_SCOPES.join(', ')}` };
+  }
+  const unknown = normalized.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return { error: `Unknown scope(s) ${unknown.join(', ')} (expected ${API_KEY_SCOPES.join(', ')})` };
+  }
+  return { scopes: normalized };
+}
+
+function parseExpiry({ expiresAt, expiresInDays }) {
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    const time = Date.parse(expiresAt);
+    if (!Number.isFinite(time) || time <= Date.now()) {
+      return { error: 'expiresAt must be a future ISO date' };
+    }
+    return { expiresAt: new Date(time).toISOString() };
+  }
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!(days > 0)) {
+      return { error: 'expiresInDays must be a positive number' };
+    }
+    return { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() };
+  }
+  return { expiresAt: null };
+}
+
+/**
+ * Create a key
+ * Pass `key` to bring an existing secret under management (it is hashed like any other).
+ * @param {object} input - { name, scopes, expiresAt | expiresInDays, key }
+ * @param {string} actor - Who created it
+ * @returns {Promise<object>} { apiKey, key: plaintext } or { error }
+ */
+export async function createApiKey({ name, scopes, expiresAt, expiresInDays, key }, actor) {
+  const label = String(name || '').trim();
+  if (!label || label.length > 100) {
+    return { error: 'name is required (up to 100 characters)' };
+  }
+
+  const scopeResult = parseScopes(scopes);
+  if (scopeResult.error) return scopeResult;
+
+  const expiry = parseExpiry({ expiresAt, expiresInDays });
+  if (expiry.error) return expiry;
+
+  if (key !== undefined && (typeof key !== 'string' || key.length < 24)) {
+    return { error: 'An imported key must be at least 24 characters' };
+  }
+  const plaintext = key || `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const hash = hashKey(plaintext);
+  if (byHash.has(hash)) {
+    return { error: 'That key is already registered' };
+  }
+
+  const record = {
+    id: crypto.randomUUID(),
+    name: label,
+    prefix: plaintext.slice(0, plaintext.startsWith(KEY_PREFIX) ? KEY_PREFIX.length + 6 : 6),
+    hash,
+    scopes: scopeResult.scopes,
+    createdAt: new Date().toISOString(),
+    createdBy: actor,
+    expiresAt: expiry.expiresAt,
+    revokedAt: null,
+    revokedBy: null,
+    rotatedTo: null,
+    lastUsedAt: null,
+    usage: { total: 0, byScope: {}, daily: {} }
+  };
+
+  keys.push(record);
+  reindex();
+  await persist();
+
+  return { apiKey: publicKey(record), key: plaintext };
+}
+
+/**
+ * Revoke a key (takes effect immediately)
+ * @param {string} id - Key ID
+ * @param {string} actor - Who revoked it
+ * @returns {Promise<object|null>} The revoked key, or null if unknown
+ */
+export async function revokeApiKey(id, actor) {
+  const record = keys.find(entry => entry.id === id);
+  if (!record) return null;
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    record.revokedBy = actor;
+    await persist();
+  }
+  return publicKey(record);
+}
+
+/**
+ * Rotate a key: new secret with the same name and scopes, old key expires after a grace period
+ * @param {string} id - Key ID
+ * @param {object} options - { graceHours } (0 retires the old key now)
+ * @param {string} actor - Who rotated it
+ * @returns {Promise<object|null>} { apiKey, key, previous } or { error }, null if unknown
+ */
+export async function rotateApiKey(id, { graceHours = DEFAULT_ROTATION_GRACE_HOURS } = {}, actor) {
+  const record = keys.find(entry => entry.id === id);
+  if (!record) return null;
+
+  if (keyState(record) !== 'active') {
+    return { error: `Key is ${keyState(record)} and can't be rotated` };
+  }
+  const hours = Number(graceHours);
+  if (!Number.isFinite(hours) || hours < 0 || hours > MAX_ROTATION_GRACE_HOURS) {
+    return { error: `graceHours must be between 0 and ${MAX_ROTATION_GRACE_HOURS}` };
+  }
+
+  const created = await createApiKey({ name: record.name, scopes: record.scopes, expiresAt: record.expiresAt }, actor);
+  if (created.error) return created;
+
+  // Never extend the old key past its own expiry
+  const graceEnd = Date.now() + hours * 60 * 60 * 1000;
+  const currentEnd = record.expiresAt ? Date.parse(record.expiresAt) : Infinity;
+  record.expiresAt = new Date(Math.min(graceEnd, currentEnd)).toISOString();
+  record.rotatedTo = created.apiKey.id;
+  await persist();
+
+  return { ...created, previous: publicKey(record) };
+}
+
+function recordUsage(record, scope) {
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+
+  record.lastUsedAt = now.toISOString();
+  record.usage.total += 1;
+  record.usage.byScope[scope] = (record.usage.byScope[scope] || 0) + 1;
+  record.usage.daily[day] = (record.usage.daily[day] || 0) + 1;
+
+  const days = Object.keys(record.usage.daily).sort();
+  for (const old of days.slice(0, Math.max(0, days.length - USAGE_DAYS_KEPT))) {
+    delete record.usage.daily[old];
+  }
+  usageDirty = true;
+}
+
+/**
+ * Check a presented key for a scope without counting a use
+ * (for lookups that don't grant access, e.g. picking a rate limit bucket)
+ * @param {string} presented - Key from the request header
+ * @param {string} scope - Required scope
+ * @returns {object} { ok: true, key } or { ok: false, status: 401 | 403, error }
+ */
+export function findApiKey(presented, scope) {
+  const hash = hashKey(presented || '');
+  const record = presented ? byHash.get(hash) : undefined;
+
+  // Constant-time check of the digest, against a dummy when the key is unknown
+  const expected = Buffer.from(record ? record.hash : DUMMY_HASH, 'hex');
+  const matches = crypto.timingSafeEqual(Buffer.from(hash, 'hex'), expected) && Boolean(record);
+
+  if (!matches) {
+    return { ok: false, status: 401, error: 'Invalid API key' };
+  }
+
+  const state = keyState(record);
+  if (state !== 'active') {
+    return { ok: false, status: 401, error: `API key ${state}` };
+  }
+  if (!record.scopes.includes(scope)) {
+    return { ok: false, status: 403, error: `API key lacks the '${scope}' scope` };
+  }
+
+  return { ok: true, key: { id: record.id, name: record.name, scopes: record.scopes } };
+}
+
+/**
+ * Check a presented key for a scope and count the use
+ * @param {string} presented - Key from the request header
+ * @param {string} scope - Required scope
+ * @returns {object} { ok: true, key } or { ok: false, status: 401 | 403, error }
+ */
+export function authenticateApiKey(presented, scope) {
+  const result = findApiKey(presented, scope);
+  if (result.ok) {
+    recordUsage(byHash.get(hashKey(presented)), scope);
+  }
+  return result;
+}
@@ -0,0 +1,421 @@
+/**
+ * DATA VALIDATOR MODULE
+ * Schema and consistency checks for data/*.json and production_years.json
+ *
+ * Runs at startup (see loadData() in server.js) and standalone:
+ *   node validateData.js [--strict] [--json]
+ *
+ * Modes:
+ * - strict:  any error fails validation (the server refuses to start)
+ * - lenient: bad repair entries, unreadable make files and malformed
+ *            production_years.json models are quarantined (left out of the
+ *            loaded data) and listed in the report
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const VALIDATION_MODES = ['strict', 'lenient'];
+
+// Keep reports readable when a whole file is broken - counts stay exact
+const MAX_ISSUES_PER_MAKE = 50;
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check one repair entry
+ * @param {object} entry - Repair entry ({ title, parts, labor: { low, high, hours? }, total })
+ * @returns {object} { errors: string[], warnings: string[] }
+ */
+export function validateRepairEntry(entry) {
+  const errors = [];
+  const warnings = [];
+
+  if (!entry || typeof entry !== 'object') {
+    return { errors: ['entry is not an object'], warnings };
+  }
+
+  for (const field of ['parts', 'labor']) {
+    const range = entry[field];
+    if (!range || typeof range !== 'object') {
+      errors.push(`${field} is missing`);
+      continue;
+    }
+    if (!isAmount(range.low) || !isAmount(range.high)) {
+      errors.push(`${field}.low/high must be numbers`);
+      continue;
+    }
+    if (range.low < 0 || range.high < 0) {
+      errors.push(`${field} is negative (${range.low}-${range.high})`);
+    }
+    if (range.low > range.high) {
+      errors.push(`${field}.low > ${field}.high (${range.low} > ${range.high})`);
+    }
+  }
+
+  // Optional book labor hours
+  const hours = entry.labor?.hours;
+  if (hours !== undefined && hours !== null) {
+    if (typeof hours !== 'object' || !isAmount(hours.low) || !isAmount(hours.high)) {
+      errors.push('labor.hours.low/high must be numbers');
+    } else if (hours.low < 0 || hours.low > hours.high) {
+      errors.push(`labor.hours must satisfy 0 <= low <= high (${hours.low}-${hours.high})`);
+    }
+  }
+
+  if (errors.length === 0) {
+    if (!entry.total) {
+      warnings.push('total is missing');
+    } else if (entry.total.low !== entry.parts.low + entry.labor.low ||
+               entry.total.high !== entry.parts.high + entry.labor.high) {
+      errors.push(`total (${entry.total.low}-${entry.total.high}) != parts + labor (${entry.parts.low + entry.labor.low}-${entry.parts.high + entry.labor.high})`);
+    }
+  }
+
+  if (!entry.title) {
+    warnings.push('title is missing');
+  }
+
+  return { errors, warnings };
+}
+
+function createMakeReport(make) {
+  return {
+    make,
+    generatedAt: null,
+    models: 0,
+    years: 0,
+    repairs: 0,
+    errorCount: 0,
+    warningCount: 0,
+    errors: [],
+    warnings: [],
+    quarantined: 0,
+    coverage: { missingPricing: [], unlistedPricing: [] }
+  };
+}
+
+function addIssue(report, kind, issuePath, message) {
+  const countKey = kind === 'errors' ? 'errorCount' : 'warningCount';
+  report[countKey]++;
+  if (report[kind].length < MAX_ISSUES_PER_MAKE) {
+    report[kind].push({ path: issuePath, message });
+  }
+}
+
+/**
+ * Validate one parsed make file
+ * @param {string} make - Make name (from the file name)
+ * @param {object} parsed - Parsed file contents ({ make, generatedAt, data } or bare data)
+ * @param {object} options - { mode: 'strict' | 'lenient' }
+ * @returns {object} { report, data } - data has invalid entries removed in lenient mode
+ */
+export function validateMakeFile(make, parsed, { mode = 'lenient' } = {}) {
+  const report = createMakeReport(make);
+  const data = parsed?.data || parsed;
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    addIssue(report, 'errors', make, 'file has no model data');
+    report.quarantined++;
+    return { report, data: null };
+  }
+
+  report.generatedAt = parsed.generatedAt || null;
+  if (!parsed.generatedAt) {
+    addIssue(report, 'warnings', make, 'generatedAt is missing');
+  }
+  if (parsed.make && parsed.make !== make) {
+    addIssue(report, 'errors', make, `file make "${parsed.make}" does not match file name`);
+  }
+
+  const cleaned = {};
+
+  for (const [model, years] of Object.entries(data)) {
+    report.models++;
+    cleaned[model] = {};
+
+    for (const [year, repairs] of Object.entries(years || {})) {
+      report.years++;
+      cleaned[model][year] = {};
+
+      if (!/^\d{4}$/.test(year)) {
+        addIssue(report, 'errors', `${make}/${model}/${year}`, 'year key is not a 4-digit year');
+      }
+
+      for (const [slug, entry] of Object.entries(repairs || {})) {
+        report.repairs++;
+        const issuePath = `${make}/${model}/${year}/${slug}`;
+        const { errors, warnings } = validateRepairEntry(entry);
+
+        errors.forEach(message => addIssue(report, 'errors', issuePath, message));
+        warnings.forEach(message => addIssue(report, 'warnings', issuePath, message));
+
+        if (errors.length > 0 && mode === 'lenient') {
+          report.quarantined++;
+          continue;
+        }
+        cleaned[model][year][slug] = entry;
+      }
+    }
+  }
+
+  return { report, data: cleaned };
+}
+
+/**
+ * Check production_years.json structure
+ * @param {object} productionYears - Parsed production_years.json
+ * @returns {object} { errors: Array<object>, warnings: Array<object> }
+ */
+export function validateProductionYears(productionYears) {
+  const errors = [];
+  const warnings = [];
+
+  if (!productionYears || typeof productionYears !== 'object' || Array.isArray(productionYears)) {
+    errors.push({ path: 'production_years.json', message: 'must be an object keyed by make' });
+    return { errors, warnings };
+  }
+
+  for (const [make, models] of Object.entries(productionYears)) {
+    if (!models || typeof models !== 'object' || Array.isArray(models)) {
+      errors.push({ path: make, message: 'must be an object keyed by model' });
+      continue;
+    }
+    for (const [model, years] of Object.entries(models)) {
+      if (!Array.isArray(years) || years.some(year => !Number.isInteger(year))) {
+        errors.push({ path: `${make}/${model}`, message: 'years must be an array of integers' });
+      } else if (years.length === 0) {
+        warnings.push({ path: `${make}/${model}`, message: 'no production years listed' });
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Keep only the well-formed entries of production_years.json
+ * Lenient mode drops the make/model entries validateProductionYears() reports
+ * as errors instead of discarding the whole table.
+ * @param {object} productionYears - Parsed production_years.json (null if unreadable)
+ * @returns {object} { [make]: { [model]: number[] } }
+ */
+export function usableProductionYears(productionYears) {
+  const usable = {};
+  if (!productionYears || typeof productionYears !== 'object' || Array.isArray(productionYears)) {
+    return usable;
+  }
+
+  for (const [make, models] of Object.entries(productionYears)) {
+    if (!models || typeof models !== 'object' || Array.isArray(models)) continue;
+    for (const [model, years] of Object.entries(models)) {
+      if (!Array.isArray(years) || years.some(year => !Number.isInteger(year))) continue;
+      usable[make] = usable[make] || {};
+      usable[make][model] = years;
+    }
+  }
+
+  return usable;
+}
+
+/**
+ * Compare production_years.json against loaded pricing, per make
+ * @param {object} productionYears - Parsed production_years.json
+ * @param {object} vehicleData - Pricing keyed by make/model/year (only the model/year keys are read)
+ * @returns {object} { [make]: { missingPricing: string[], unlistedPricing: string[] } }
+ */
+export function checkCoverage(productionYears, vehicleData) {
+  const coverage = {};
+  const makes = new Set([...Object.keys(productionYears || {}), ...Object.keys(vehicleData)]);
+
+  for (const make of makes) {
+    const produced = productionYears?.[make] || {};
+    const priced = vehicleData[make] || {};
+    const gaps = { missingPricing: [], unlistedPricing: [] };
+
+    for (const [model, years] of Object.entries(produced)) {
+      for (const year of Array.isArray(years) ? years : []) {
+        if (!priced[model]?.[String(year)]) gaps.missingPricing.push(`${model} ${year}`);
+      }
+    }
+    for (const [model, years] of Object.entries(priced)) {
+      for (const year of Object.keys(years)) {
+        if (!(produced[model] || []).map(String).includes(year)) gaps.unlistedPricing.push(`${model} ${year}`);
+      }
+    }
+
+    coverage[make] = gaps;
+  }
+
+  return coverage;
+}
+
+/**
+ * Start an empty validation report
+ * @param {string} mode - 'strict' | 'lenient'
+ * @returns {object}
+ */
+export function createValidationReport(mode) {
+  return {
+    mode,
+    ok: true,
+    checkedAt: new Date().toISOString(),
+    totals: { makes: 0, models: 0, years: 0, repairs: 0, errors: 0, warnings: 0, quarantined: 0 },
+    productionYears: { errors: [], warnings: [] },
+    makes: {}
+  };
+}
+
+function checkMode(mode) {
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new Error(`Unknown validation mode "${mode}" (expected ${VALIDATION_MODES.join(' or ')})`);
+  }
+}
+
+/**
+ * Read and validate production_years.json
+ * @param {string} rootDir - Directory holding production_years.json
+ * @returns {Promise<object>} { productionYears, errors, warnings } - productionYears is null if unreadable
+ */
+export async function readProductionYears(rootDir) {
+  try {
+    const productionYears = JSON.parse(await fs.readFile(path.join(rootDir, 'production_years.json'), 'utf-8'));
+    return { productionYears, ...validateProductionYears(productionYears) };
+  } catch (error) {
+    return {
+      productionYears: null,
+      errors: [{ path: 'production_years.json', message: error.message }],
+      warnings: []
+    };
+  }
+}
+
+/**
+ * Read and validate one data/<make>.json file
+ * @param {string} dataDir - The /data directory
+ * @param {string} make - Make name (file name without .json)
+ * @param {object} options - { mode: 'strict' | 'lenient' }
+ * @returns {Promise<object>} { report, data } - data is null if the file is unreadable
+ */
+export async function readMakeFile(dataDir, make, { mode = 'lenient' } = {}) {
+  checkMode(mode);
+  const file = `${make}.json`;
+  let parsed;
+
+  try {
+    parsed = JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf-8'));
+  } catch (error) {
+    const report = createMakeReport(make);
+    addIssue(report, 'errors', file, `unreadable: ${error.message}`);
+    report.quarantined++;
+    return { report, data: null };
+  }
+
+  return validateMakeFile(make, parsed, { mode });
+}
+
+/**
+ * Recompute coverage gaps and totals after makes or production years change
+ * @param {object} report - Validation report (makes and productionYears already filled in)
+ * @param {object} productionYears - Active production_years.json contents
+ * @param {object} vehicleData - Active pricing data (only the model/year keys are read)
+ * @returns {object} The same report, updated
+ */
+export function summarizeReport(report, productionYears, vehicleData) {
+  // Makes listed only in production_years.json are rebuilt from scratch
+  for (const [make, makeReport] of Object.entries(report.makes)) {
+    if (makeReport.missingFile) delete report.makes[make];
+  }
+
+  const coverage = checkCoverage(productionYears, vehicleData);
+  for (const [make, gaps] of Object.entries(coverage)) {
+    report.makes[make] = report.makes[make] || { ...createMakeReport(make), missingFile: true };
+    report.makes[make].coverage = gaps;
+  }
+
+  const totals = { makes: 0, models: 0, years: 0, repairs: 0, errors: 0, warnings: 0, quarantined: 0 };
+  for (const makeReport of Object.values(report.makes)) {
+    totals.makes++;
+    totals.models += makeReport.models;
+    totals.years += makeReport.years;
+    totals.repairs += makeReport.repairs;
+    totals.errors += makeReport.errorCount;
+    totals.warnings += makeReport.warningCount;
+    totals.quarantined += makeReport.quarantined;
+  }
+  totals.errors += report.productionYears.errors.length;
+  totals.warnings += report.productionYears.warnings.length;
+
+  report.totals = totals;
+  report.ok = totals.errors === 0;
+  report.checkedAt = new Date().toISOString();
+  return report;
+}
+
+/**
+ * Read and validate production_years.json and every data/<make>.json
+ * @param {string} rootDir - Directory holding production_years.json and /data
+ * @param {object} options - { mode: 'strict' | 'lenient' }
+ * @returns {Promise<object>} { productionYears, vehicleData, report }
+ */
+export async function loadValidatedDataset(rootDir, { mode = 'lenient' } = {}) {
+  checkMode(mode);
+  const report = createValidationReport(mode);
+
+  const years = await readProductionYears(rootDir);
+  report.productionYears = { errors: years.errors, warnings: years.warnings };
+  const productionYears = years.errors.length > 0 && mode === 'lenient' ? usableProductionYears(years.productionYears) : (years.productionYears || {});
+
+  const dataDir = path.join(rootDir, 'data');
+  const files = (await fs.readdir(dataDir)).filter(f => f.endsWith('.json')).sort();
+  const vehicleData = {};
+
+  for (const file of files) {
+    const make = file.replace('.json', '');
+    const { report: makeReport, data } = await readMakeFile(dataDir, make, { mode });
+    report.makes[make] = makeReport;
+    if (data) vehicleData[make] = data;
+  }
+
+  summarizeReport(report, productionYears, vehicleData);
+
+  return { productionYears, vehicleData, report };
+}
+
+/**
+ * Render a validation report as console lines
+ * @param {object} report - loadValidatedDataset() report
+ * @returns {Array<string>}
+ */
+export function formatValidationReport(report) {
+  const lines = [];
+  const { totals } = report;
+
+  lines.push(`Data validation (${report.mode}): ${totals.makes} makes, ${totals.models} models, ${totals.years} model-years, ${totals.repairs} repair entries`);
+  lines.push(`  ${totals.errors} errors, ${totals.warnings} warnings, ${totals.quarantined} quarantined`);
+
+  for (const issue of report.productionYears.errors) {
+    lines.push(`  ❌ production_years.json ${issue.path}: ${issue.message}`);
+  }
+
+  for (const makeReport of Object.values(report.makes)) {
+    const { missingPricing, unlistedPricing } = makeReport.coverage;
+    const status = makeReport.errorCount > 0 ? '❌' : makeReport.missingFile || missingPricing.length > 0 ? '⚠️ ' : '✅';
+    const detail = makeReport.missingFile
+      ? 'no data file'
+      : `${makeReport.repairs} entries, ${makeReport.errorCount} errors, ${makeReport.warningCount} warnings`;
+
+    lines.push(`  ${status} ${makeReport.make}: ${detail}` +
+      (missingPricing.length ? `, ${missingPricing.length} model-years without pricing` : '') +
+      (unlistedPricing.length ? `, ${unlistedPricing.length} priced model-years not in production_years.json` : ''));
+
+    for (const issue of makeReport.errors.slice(0, 5)) {
+      lines.push(`       ${issue.path}: ${issue.message}`);
+    }
+    if (makeReport.errorCount > 5) {
+      lines.push(`       ... ${makeReport.errorCount - 5} more errors`);
+    }
+  }
+
+  return lines;
+}
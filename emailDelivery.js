@@ -0,0 +1,255 @@
+/**
+ * EMAIL DELIVERY MODULE
+ * Report emails for paid orders, sent through a persistent retry queue
+ *
+ * The checkout.session.completed webhook queues one email per order; support
+ * can queue resends. A worker sends due jobs one at a time through the
+ * configured transport (mailTransport.js). Failures retry with exponential
+ * backoff (RETRY_BASE_MS doubling, capped at RETRY_MAX_MS) until MAX_ATTEMPTS;
+ * SMTP 5xx replies are permanent and fail the job straight away.
+ *
+ * Storage (STORE_DIR/emails.json): { jobs: [{ id, sessionId, to, reason, status, attempts, ... }] }
+ * Job status: pending → sent | failed. The order records the latest outcome
+ * as order.reportEmail.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { STORE_DIR, getOrder, saveOrder } from './orderStore.js';
+import { renderReportEmail } from './emailTemplates.js';
+
+const EMAILS_FILE = path.join(STORE_DIR, 'emails.json');
+
+export const EMAIL_REASONS = ['checkout', 'resend'];
+export const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// Attachments past this size are left out (the email still links the report)
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// Sent and failed jobs are kept this long for support lookups
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+let jobs = [];
+let writeChain = Promise.resolve();
+let config = null;
+let running = false;
+
+/**
+ * Check an address is a single plain mailbox (no display name, no header injection)
+ * @param {string} address - Email address
+ * @returns {boolean}
+ */
+export function isValidEmail(address) {
+  return typeof address === 'string' && address.length <= 254 && EMAIL_PATTERN.test(address);
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Milliseconds
+ */
+export function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+function persist() {
+  const task = writeChain.then(async () => {
+    const tmpFile = `${EMAILS_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ jobs }, null, 2), 'utf-8');
+    await fs.rename(tmpFile, EMAILS_FILE);
+  });
+  // Keep the chain alive after a failed write
+  writeChain = task.catch(() => {});
+  return task;
+}
+
+/**
+ * Load the queue and start the worker
+ * @param {object} options - { transport, from, renderReport(order) → { reportId, buffer }, reportUrl(order) → string, attachReport }
+ * @returns {Promise<object>} { pending: number, transport: string }
+ */
+export async function initEmailDelivery({ transport, from, renderReport, reportUrl, attachReport = true }) {
+  config = { transport, from, renderReport, reportUrl, attachReport };
+  await fs.mkdir(STORE_DIR, { recursive: true });
+
+  try {
+    const parsed = JSON.parse(await fs.readFile(EMAILS_FILE, 'utf-8'));
+    jobs = parsed.jobs || [];
+    pruneJobs();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    jobs = [];
+  }
+
+  setInterval(() => processQueue().catch(error => console.error('❌ Email queue error:', error)), POLL_INTERVAL_MS).unref();
+  kick();
+
+  return { pending: jobs.filter(job => job.status === 'pending').length, transport: transport.name };
+}
+
+/**
+ * Drop sent and failed jobs past the retention period (pending jobs are kept)
+ * @returns {number} Jobs dropped
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - RETENTION_MS;
+  const kept = jobs.filter(job => job.status === 'pending' || Date.parse(job.updatedAt) > cutoff);
+  const pruned = jobs.length - kept.length;
+  jobs = kept;
+  return pruned;
+}
+
+function kick() {
+  setImmediate(() => processQueue().catch(error => console.error('❌ Email queue error:', error)));
+}
+
+/**
+ * Queue the report email for an order
+ * A second 'checkout' email for the same order is not queued.
+ * @param {string} sessionId - Stripe Checkout Session ID
+ * @param {object} options - { to (defaults to the order email), reason: 'checkout' | 'resend', requestedBy }
+ * @returns {Promise<object>} { job } or { error, status } (status: HTTP code to report)
+ */
+export async function enqueueReportEmail(sessionId, { to, reason = 'checkout', requestedBy = null } = {}) {
+  const order = getOrder(sessionId);
+  if (!order) {
+    return { error: 'Order not found', status: 404 };
+  }
+  if (order.paymentStatus !== 'paid') {
+    return { error: `Order is not paid (${order.paymentStatus})`, status: 409 };
+  }
+
+  const recipient = String(to || order.email || '').trim();
+  if (!isValidEmail(recipient)) {
+    return { error: recipient ? 'Invalid email address' : 'No email address on this order', status: 400 };
+  }
+
+  if (reason === 'checkout') {
+    const existing = jobs.find(job => job.sessionId === sessionId && job.reason === 'checkout');
+    if (existing) return { job: existing, duplicate: true };
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    sessionId,
+    to: recipient,
+    reason,
+    requestedBy,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    messageId: null,
+    createdAt: now,
+    updatedAt: now,
+    sentAt: null
+  };
+
+  jobs.push(job);
+  await persist();
+  kick();
+
+  return { job };
+}
+
+/**
+ * List queued and recent jobs, newest first
+ * @param {object} filters - { status, sessionId, limit }
+ * @returns {Array<object>}
+ */
+export function listEmailJobs({ status, sessionId, limit = 100 } = {}) {
+  return jobs
+    .filter(job => (!status || job.status === status) && (!sessionId || job.sessionId === sessionId))
+    .slice()
+    .reverse()
+    .slice(0, limit);
+}
+
+async function recordOutcome(job) {
+  if (!getOrder(job.sessionId)) return;
+  await saveOrder(job.sessionId, {
+    reportEmail: {
+      jobId: job.id,
+      to: job.to,
+      reason: job.reason,
+      status: job.status,
+      attempts: job.attempts,
+      sentAt: job.sentAt,
+      lastError: job.lastError
+    }
+  });
+}
+
+async function sendJob(job) {
+  const order = getOrder(job.sessionId);
+  if (!order || order.paymentStatus !== 'paid' || !order.quote) {
+    throw Object.assign(new Error('Order is missing, unpaid or has no pricing'), { permanent: true });
+  }
+
+  const { reportId, buffer } = config.renderReport(order);
+  const attached = config.attachReport && buffer.length <= MAX_ATTACHMENT_BYTES;
+  const { subject, text, html } = renderReportEmail(order, { reportId, reportUrl: config.reportUrl(order), attached });
+
+  return config.transport.send({
+    from: config.from,
+    to: job.to,
+    subject,
+    text,
+    html,
+    attachments: attached
+      ? [{ filename: `fair-repair-report-${reportId}.pdf`, contentType: 'application/pdf', content: buffer }]
+      : []
+  });
+}
+
+/**
+ * Send every due job (one at a time; overlapping calls are no-ops)
+ * @returns {Promise<void>}
+ */
+async function processQueue() {
+  if (running || !config) return;
+  running = true;
+
+  try {
+    if (pruneJobs() > 0) {
+      await persist();
+    }
+
+    for (const job of jobs) {
+      if (job.status !== 'pending' || Date.parse(job.nextAttemptAt) > Date.now()) continue;
+
+      job.attempts += 1;
+      try {
+        const result = await sendJob(job);
+        job.status = 'sent';
+        job.sentAt = new Date().toISOString();
+        job.messageId = result.messageId;
+        job.lastError = null;
+        console.log(`  ✉️  Report email sent to ${job.to} (${job.sessionId}, ${result.transport})`);
+      } catch (error) {
+        const permanent = error.permanent || (error.smtpCode >= 500 && error.smtpCode < 600);
+        job.lastError = error.message;
+        if (permanent || job.attempts >= MAX_ATTEMPTS) {
+          job.status = 'failed';
+          console.error(`  ❌ Report email to ${job.to} failed after ${job.attempts} attempts: ${error.message}`);
+        } else {
+          job.nextAttemptAt = new Date(Date.now() + retryDelay(job.attempts)).toISOString();
+          console.log(`  ⚠️  Report email to ${job.to} failed (attempt ${job.attempts}), retrying at ${job.nextAttemptAt}: ${error.message}`);
+        }
+      }
+
+      job.updatedAt = new Date().toISOString();
+      await persist();
+      await recordOutcome(job);
+    }
+  } finally {
+    running = false;
+  }
+}
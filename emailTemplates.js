@@ -0,0 +1,101 @@
+/**
+ * EMAIL TEMPLATES MODULE
+ * HTML and plain-text bodies for customer emails
+ *
+ * Templates are plain functions over an order so the text and HTML versions
+ * stay in step. Every value interpolated into HTML goes through escapeHtml().
+ */
+
+import { describeRepair } from './repairCatalog.js';
+
+const BRAND = '#1f4e79';
+const MUTED = '#5f6b76';
+
+const money = (value) => (typeof value === 'number' ? `$${value.toLocaleString('en-US')}` : 'n/a');
+const range = (value) => (value && typeof value.low === 'number' ? `${money(value.low)} - ${money(value.high)}` : 'n/a');
+
+/**
+ * Escape text for HTML element and attribute content
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * "Your pricing report" email for a paid order
+ * @param {object} order - Order record (vehicle, repairs, quote, sessionId)
+ * @param {object} context - { reportId, reportUrl, attached: boolean }
+ * @returns {object} { subject, text, html }
+ */
+export function renderReportEmail(order, { reportId, reportUrl, attached }) {
+  const vehicle = order.vehicle || {};
+  const vehicleName = `${vehicle.year || ''} ${String(vehicle.make || '').toUpperCase()} ${String(vehicle.model || '').toUpperCase()}`.trim();
+  const quote = order.quote || {};
+
+  const lines = Array.isArray(quote.lines) && quote.lines.length > 0
+    ? quote.lines.map(line => ({ title: describeRepair(line.repairSlug, line.repairTitle).title, price: line.price }))
+    : (order.repairs || [order.repair]).filter(Boolean).map(slug => ({ title: describeRepair(slug).title, price: null }));
+
+  const subject = `Your Fair Repair Auto pricing report - ${vehicleName}`;
+  const delivery = attached
+    ? 'Your report is attached as a PDF.'
+    : 'Your report is ready to view and download.';
+
+  const text = [
+    'Thanks for your purchase!',
+    '',
+    `${delivery} You can also open it any time at:`,
+    reportUrl,
+    '',
+    `Vehicle: ${vehicleName}`,
+    ...lines.map(line => `- ${line.title}${line.price ? `: ${range(line.price)}` : ''}`),
+    `Estimated total: ${range(quote.price)}`,
+    '',
+    `Report ID: ${reportId}`,
+    '',
+    'Estimates reflect typical regional pricing; actual shop quotes vary with vehicle condition and parts choice.',
+    '',
+    '- Fair Repair Auto'
+  ].join('\n');
+
+  const rows = lines.map(line => `
+        <tr>
+          <td style="padding:6px 0;border-bottom:1px solid #e5e9ed;">${escapeHtml(line.title)}</td>
+          <td style="padding:6px 0;border-bottom:1px solid #e5e9ed;text-align:right;">${line.price ? escapeHtml(range(line.price)) : ''}</td>
+        </tr>`).join('');
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f4f6f8;font-family:Helvetica,Arial,sans-serif;color:#1b1f23;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f6f8;padding:24px 0;">
+    <tr><td align="center">
+      <table role="presentation" width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:6px;overflow:hidden;">
+        <tr><td style="background:${BRAND};padding:20px 28px;color:#ffffff;">
+          <div style="font-size:22px;font-weight:bold;">Fair Repair Auto</div>
+          <div style="font-size:13px;color:#dbe7f3;">Repair Pricing Report</div>
+        </td></tr>
+        <tr><td style="padding:24px 28px;font-size:14px;line-height:1.5;">
+          <p style="margin:0 0 12px;">Thanks for your purchase! ${escapeHtml(delivery)}</p>
+          <p style="margin:0 0 20px;"><a href="${escapeHtml(reportUrl)}" style="background:${BRAND};color:#ffffff;padding:10px 18px;border-radius:4px;text-decoration:none;display:inline-block;">View your report</a></p>
+          <div style="font-weight:bold;font-size:16px;margin-bottom:6px;">${escapeHtml(vehicleName)}</div>
+          <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-size:14px;">${rows}
+            <tr>
+              <td style="padding:8px 0;font-weight:bold;">Estimated total</td>
+              <td style="padding:8px 0;font-weight:bold;text-align:right;">${escapeHtml(range(quote.price))}</td>
+            </tr>
+          </table>
+          <p style="margin:20px 0 0;font-size:12px;color:${MUTED};">Report ID ${escapeHtml(reportId)}. Estimates reflect typical regional pricing; actual shop quotes vary with vehicle condition and parts choice.</p>
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>
+`;
+
+  return { subject, text, html };
+}
@@ -0,0 +1,112 @@
+/**
+ * INFLATION MODULE
+ * Projects pricing from the date a data file was generated to today
+ *
+ * Configured by rates/inflation.json:
+ *   annualRates - { parts, labor } yearly rates, compounded by age
+ *   index       - { parts: { 'YYYY-MM': value }, labor: { ... } } monthly index
+ *                 points; used instead of the annual rate when the series
+ *                 covers the start month. Past the last point the annual rate
+ *                 carries on from it, and the result reports that month
+ *                 (indexThrough) so callers can see how current it is.
+ *
+ * Adjustment is opt-in per quote (see computeQuote's `inflation` option).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { RATES_DIR } from './laborRateTables.js';
+
+const INFLATION_FILE = path.join(RATES_DIR, 'inflation.json');
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+let config = null;
+
+function loadConfig() {
+  const parsed = JSON.parse(fs.readFileSync(INFLATION_FILE, 'utf-8'));
+
+  for (const component of ['parts', 'labor']) {
+    const rate = parsed.annualRates?.[component];
+    if (typeof rate !== 'number' || rate <= -1 || rate > 1) {
+      throw new Error(`inflation.json: annualRates.${component} must be a yearly rate like 0.04`);
+    }
+  }
+
+  return {
+    annualRates: parsed.annualRates,
+    index: { parts: parsed.index?.parts || {}, labor: parsed.index?.labor || {} },
+    updatedAt: parsed.updatedAt || null
+  };
+}
+
+/**
+ * Get the active inflation settings
+ * @returns {object} { annualRates, index, updatedAt }
+ */
+export function getInflationConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+}
+
+const monthOf = (date) => date.toISOString().slice(0, 7);
+
+// Latest index point at or before `month`
+function indexAt(series, month) {
+  const months = Object.keys(series).filter(key => key <= month).sort();
+  return months.length > 0 ? { month: months[months.length - 1], value: series[months[months.length - 1]] } : null;
+}
+
+const compound = (rate, from, to) => Math.pow(1 + rate, Math.max(0, (to - from) / MS_PER_YEAR));
+
+function componentFactor(component, from, to) {
+  const { annualRates, index } = getInflationConfig();
+  const series = index[component];
+  const start = indexAt(series, monthOf(from));
+  const end = indexAt(series, monthOf(to));
+
+  if (start && end) {
+    if (end.month === monthOf(to)) {
+      return { factor: end.value / start.value, method: 'index', indexThrough: end.month };
+    }
+    // The series stops before `to`: carry the annual rate on from its last point
+    const lastPoint = new Date(`${end.month}-01T00:00:00Z`);
+    return {
+      factor: (end.value / start.value) * compound(annualRates[component], lastPoint, to),
+      method: 'index+annual-rate',
+      indexThrough: end.month
+    };
+  }
+
+  return { factor: compound(annualRates[component], from, to), method: 'annual-rate', indexThrough: null };
+}
+
+/**
+ * Inflation factors from a generation date to now
+ * @param {string} generatedAt - ISO date the pricing was generated
+ * @param {Date} [now] - Projection date (default: today)
+ * @returns {object|null} { from, to, ageYears, parts, labor, method, indexThrough: { parts, labor } }
+ *                        or null without a usable date
+ */
+export function getInflationFactors(generatedAt, now = new Date()) {
+  const from = new Date(generatedAt);
+  if (!generatedAt || Number.isNaN(from.getTime()) || from >= now) {
+    return null;
+  }
+
+  const parts = componentFactor('parts', from, now);
+  const labor = componentFactor('labor', from, now);
+  const round = (value) => Math.round(value * 10000) / 10000;
+
+  return {
+    from: from.toISOString(),
+    to: now.toISOString(),
+    ageYears: Math.round(((now - from) / MS_PER_YEAR) * 100) / 100,
+    parts: round(parts.factor),
+    labor: round(labor.factor),
+    method: parts.method === labor.method ? parts.method : `${parts.method}/${labor.method}`,
+    // Last index month each factor used (null on the annual rate alone)
+    indexThrough: { parts: parts.indexThrough, labor: labor.indexThrough }
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * LABOR OVERLAP MODULE
+ * Bundled-repair labor deductions for jobs that share teardown work
+ *
+ * A shop replacing the water pump during a timing belt job doesn't pull the
+ * front of the engine twice. When two or more repairs from the same rule are
+ * quoted together, the repair with the most labor is charged in full and every
+ * other matched repair has `discount` (fraction) taken off its labor.
+ *
+ * Configured by rates/laborOverlap.json:
+ *   rules - [{ id, repairs: [slug, ...], discount, reason }]
+ *           Checked in order and a repair is only discounted once, so list
+ *           the most specific (largest) overlaps first.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { RATES_DIR } from './laborRateTables.js';
+
+const LABOR_OVERLAP_FILE = path.join(RATES_DIR, 'laborOverlap.json');
+
+let config = null;
+
+function loadConfig() {
+  const parsed = JSON.parse(fs.readFileSync(LABOR_OVERLAP_FILE, 'utf-8'));
+  if (!Array.isArray(parsed.rules)) {
+    throw new Error('laborOverlap.json: missing "rules" array');
+  }
+
+  const ids = new Set();
+  for (const [index, rule] of parsed.rules.entries()) {
+    const where = `laborOverlap.json rules[${index}]`;
+    if (!rule.id || typeof rule.id !== 'string' || ids.has(rule.id)) {
+      throw new Error(`${where}: id must be a unique string`);
+    }
+    ids.add(rule.id);
+    if (!Array.isArray(rule.repairs) || rule.repairs.length < 2 || rule.repairs.some(slug => typeof slug !== 'string' || !slug)) {
+      throw new Error(`${where} (${rule.id}): repairs must list at least two repair slugs`);
+    }
+    if (typeof rule.discount !== 'number' || !(rule.discount > 0 && rule.discount < 1)) {
+      throw new Error(`${where} (${rule.id}): discount must be a fraction between 0 and 1`);
+    }
+    if (!rule.reason || typeof rule.reason !== 'string') {
+      throw new Error(`${where} (${rule.id}): reason is required`);
+    }
+  }
+
+  return { rules: parsed.rules, updatedAt: parsed.updatedAt || null };
+}
+
+/**
+ * Get the active overlap rules
+ * @returns {object} { rules, updatedAt }
+ */
+export function getLaborOverlapConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+}
+
+/**
+ * Find labor deductions for a set of estimate lines
+ * @param {Array<object>} lines - Estimate lines ({ repairSlug, breakdown: { labor: { low, high } } })
+ * @param {Array<object>} rules - Overlap rule table (defaults to rates/laborOverlap.json)
+ * @returns {object} { discounts: Array<object>, total: { low, high } }
+ */
+export function applyLaborOverlap(lines, rules = getLaborOverlapConfig().rules) {
+  const discounts = [];
+  const discounted = new Set();
+  const total = { low: 0, high: 0 };
+
+  for (const rule of rules) {
+    const matched = lines.filter(line => rule.repairs.includes(line.repairSlug));
+    if (matched.length < 2) continue;
+
+    // The most labor-intensive job carries the shared teardown
+    const primary = matched.reduce((best, line) =>
+      line.breakdown.labor.high > best.breakdown.labor.high ? line : best
+    );
+
+    const secondary = matched.filter(line => line !== primary && !discounted.has(line.repairSlug));
+    if (secondary.length === 0) continue;
+
+    const applied = secondary.map(line => {
+      discounted.add(line.repairSlug);
+      return {
+        repairSlug: line.repairSlug,
+        amount: {
+          low: Math.round(line.breakdown.labor.low * rule.discount),
+          high: Math.round(line.breakdown.labor.high * rule.discount)
+        }
+      };
+    });
+
+    const amount = {
+      low: applied.reduce((sum, item) => sum + item.amount.low, 0),
+      high: applied.reduce((sum, item) => sum + item.amount.high, 0)
+    };
+
+    total.low += amount.low;
+    total.high += amount.high;
+
+    discounts.push({
+      rule: rule.id,
+      reason: rule.reason,
+      percent: Math.round(rule.discount * 100),
+      primary: primary.repairSlug,
+      repairs: applied,
+      amount,
+      explanation: `${Math.round(rule.discount * 100)}% off labor for ${applied.map(item => item.repairSlug).join(', ')} when done with ${primary.repairSlug}: ${rule.reason.toLowerCase()}`
+    });
+  }
+
+  return { discounts, total };
+}
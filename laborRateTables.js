@@ -0,0 +1,239 @@
+/**
+ * LABOR RATE TABLES MODULE
+ * Loads the layered labor rate tables from /rates
+ *
+ * Layers, most specific first:
+ *   zip3.json     - 3-digit ZIP prefix
+ *   counties.json - county FIPS (ZIP → county via zip_counties.csv)
+ *   metros.json   - CBSA metro area (membership by county, or distance to a metro center)
+ *   states.json   - state survey figure (only the states the 2025 survey reports)
+ *   regions.json  - regional average (every other state)
+ *   (national)    - NATIONAL_AVERAGE in laborRates.js
+ *
+ * zip3.json and counties.json ship empty: no survey publishes rates at that
+ * level yet. Their entries are a bare rate or { rate, name }.
+ *
+ * The files can be edited without a code change: they are reloaded when they
+ * change on disk (watchLaborRateTables) or on POST /api/admin/rates/reload.
+ * A reload that fails validation keeps the previous tables.
+ * State and metro rates can also be overridden at runtime (admin API, see
+ * pricingOverrides.js) - overrides are layered on top and never written here.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RATES_DIR = process.env.RATES_DIR || path.join(__dirname, 'rates');
+
+const TABLE_FILES = {
+  zip3: 'zip3.json',
+  counties: 'counties.json',
+  metros: 'metros.json',
+  states: 'states.json',
+  regions: 'regions.json'
+};
+
+// Falloff curves for metro blending: x is distance / radius (0 at the center, 1 at the edge)
+export const FALLOFF_CURVES = {
+  linear: (x) => 1 - x,
+  smoothstep: (x) => 1 - x * x * (3 - 2 * x),
+  cosine: (x) => (1 + Math.cos(Math.PI * x)) / 2,
+  step: () => 1
+};
+
+const RATE_MODES = ['step', 'blend'];
+
+const RELOAD_DEBOUNCE_MS = 500;
+
+let tables = null;
+let rateOverrides = { states: {}, metros: {} };
+let effectiveTables = null;
+
+function readTable(name) {
+  const file = path.join(RATES_DIR, TABLE_FILES[name]);
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  if (!parsed || typeof parsed.rates !== 'object' || parsed.rates === null) {
+    throw new Error(`${TABLE_FILES[name]}: missing "rates" object`);
+  }
+  return parsed;
+}
+
+function checkRate(value, where) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`${where}: rate must be a positive number (got ${JSON.stringify(value)})`);
+  }
+}
+
+/**
+ * Read, validate and index every rate table
+ * @returns {object} Indexed tables
+ */
+function buildTables() {
+  const raw = {};
+  for (const name of Object.keys(TABLE_FILES)) {
+    raw[name] = readTable(name);
+  }
+
+  for (const [key, value] of Object.entries(raw.zip3.rates)) {
+    checkRate(typeof value === 'number' ? value : value?.rate, `zip3.json ${key}`);
+  }
+  for (const [key, value] of Object.entries(raw.counties.rates)) {
+    checkRate(typeof value === 'number' ? value : value?.rate, `counties.json ${key}`);
+  }
+  for (const [key, value] of Object.entries(raw.states.rates)) {
+    checkRate(value, `states.json ${key}`);
+  }
+
+  const blending = {
+    mode: process.env.LABOR_RATE_MODE || raw.metros.blending?.mode || 'step',
+    radiusMiles: raw.metros.blending?.radiusMiles ?? 30,
+    falloff: raw.metros.blending?.falloff || 'smoothstep'
+  };
+  if (!RATE_MODES.includes(blending.mode)) {
+    throw new Error(`metros.json blending: unknown mode "${blending.mode}" (expected ${RATE_MODES.join(' or ')})`);
+  }
+
+  // County FIPS → CBSA code
+  const countyToMetro = {};
+  const metroBlend = {};
+  for (const [cbsa, metro] of Object.entries(raw.metros.rates)) {
+    checkRate(metro.rate, `metros.json ${cbsa}`);
+    if (!Array.isArray(metro.centers) || metro.centers.length === 0) {
+      throw new Error(`metros.json ${cbsa}: at least one center is required`);
+    }
+
+    metroBlend[cbsa] = {
+      radiusMiles: metro.blend?.radiusMiles ?? blending.radiusMiles,
+      falloff: metro.blend?.falloff || blending.falloff
+    };
+    if (!FALLOFF_CURVES[metroBlend[cbsa].falloff]) {
+      throw new Error(`metros.json ${cbsa}: unknown falloff "${metroBlend[cbsa].falloff}"`);
+    }
+    if (!(metroBlend[cbsa].radiusMiles > 0)) {
+      throw new Error(`metros.json ${cbsa}: blend radius must be positive`);
+    }
+
+    for (const fips of metro.counties || []) {
+      countyToMetro[fips] = cbsa;
+    }
+  }
+
+  // State → region name
+  const stateToRegion = {};
+  for (const [region, entry] of Object.entries(raw.regions.rates)) {
+    checkRate(entry.rate, `regions.json ${region}`);
+    for (const state of entry.states || []) {
+      stateToRegion[state] = region;
+    }
+  }
+
+  return {
+    zip3: raw.zip3.rates,
+    counties: raw.counties.rates,
+    metros: raw.metros.rates,
+    metroRadiusMiles: raw.metros.radiusMiles ?? 15,
+    blending,
+    metroBlend,
+    states: raw.states.rates,
+    regions: raw.regions.rates,
+    countyToMetro,
+    stateToRegion,
+    loadedAt: new Date().toISOString(),
+    versions: Object.fromEntries(
+      Object.entries(raw).map(([name, table]) => [name, table.updatedAt || null])
+    )
+  };
+}
+
+// Tables with admin rate overrides layered on top
+function applyRateOverrides(base) {
+  const metros = { ...base.metros };
+  for (const [cbsa, rate] of Object.entries(rateOverrides.metros)) {
+    if (metros[cbsa]) metros[cbsa] = { ...metros[cbsa], rate };
+  }
+
+  return {
+    ...base,
+    states: { ...base.states, ...rateOverrides.states },
+    metros,
+    overrides: rateOverrides
+  };
+}
+
+/**
+ * Get the active rate tables
+ * @returns {object} Indexed tables (with any rate overrides applied)
+ */
+export function getRateTables() {
+  if (!tables) {
+    tables = buildTables();
+  }
+  if (!effectiveTables) {
+    effectiveTables = applyRateOverrides(tables);
+  }
+  return effectiveTables;
+}
+
+/**
+ * Replace the runtime state/metro rate overrides
+ * @param {object} overrides - { states: { CA: 170 }, metros: { '31080': 185 } }
+ */
+export function setRateOverrides({ states = {}, metros = {} } = {}) {
+  rateOverrides = { states, metros };
+  effectiveTables = null;
+}
+
+/**
+ * Reload rate tables from disk (atomic: the old tables stay active on failure)
+ * @returns {object} { zip3, counties, metros, states, regions } entry counts
+ */
+export function reloadLaborRateTables() {
+  const next = buildTables();
+  tables = next;
+  effectiveTables = null;
+
+  return {
+    zip3: Object.keys(next.zip3).length,
+    counties: Object.keys(next.counties).length,
+    metros: Object.keys(next.metros).length,
+    states: Object.keys(next.states).length,
+    regions: Object.keys(next.regions).length
+  };
+}
+
+/**
+ * Watch /rates and reload the tables when one of them changes
+ * @param {function} onResult - Called with { ok, file, counts } or { ok: false, file, error }
+ * @returns {function} Stops watching
+ */
+export function watchLaborRateTables(onResult = () => {}) {
+  const fileNames = Object.values(TABLE_FILES);
+  let timer = null;
+  const changed = new Set();
+
+  // Watch the directory rather than the files so replace-by-rename writes are seen
+  const watcher = fs.watch(RATES_DIR, (eventType, filename) => {
+    if (!fileNames.includes(filename)) return;
+    changed.add(filename);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const file = [...changed].join(', ');
+      changed.clear();
+      try {
+        onResult({ ok: true, file, counts: reloadLaborRateTables() });
+      } catch (error) {
+        onResult({ ok: false, file, error: error.message });
+      }
+    }, RELOAD_DEBOUNCE_MS);
+  });
+
+  return () => {
+    watcher.close();
+    clearTimeout(timer);
+  };
+}
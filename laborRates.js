@@ -4,77 +4,14 @@
  * Source: Identifix 2025 + NATA 2024 Survey + Industry Reports
  */
 
-// 2025 Labor Rates by State (dollars per hour)
-export const STATE_LABOR_RATES = {
-  // States with specific 2025 rates
-  'AZ': 138.78,
-  'DE': 142.15,
-  'FL': 142.74,
-  'HI': 136.74,
-  'MS': 151.67,
-  'NE': 147.41,
-  'OH': 136.07,
-  'OK': 147.81,
-  'OR': 151.00,
-  'VT': 127.15,
-  'WY': 151.18,
-  
-  // Regional averages for other states (2025 Identifix data)
-  // Midwest: $144.17/hr
-  'IL': 144.17, 'IN': 144.17, 'IA': 144.17, 'KS': 144.17, 'MI': 144.17,
-  'MN': 144.17, 'MO': 144.17, 'ND': 144.17, 'SD': 144.17, 'WI': 144.17,
-  
-  // Northeast: $135.63/hr
-  'CT': 135.63, 'ME': 135.63, 'MA': 135.63, 'NH': 135.63, 'NJ': 135.63,
-  'NY': 135.63, 'PA': 135.63, 'RI': 135.63,
-  
-  // Southeast: $146.47/hr
-  'AL': 146.47, 'AR': 146.47, 'GA': 146.47, 'KY': 146.47, 'LA': 146.47,
-  'NC': 146.47, 'SC': 146.47, 'TN': 146.47, 'VA': 146.47, 'WV': 146.47,
-  
-  // Southwest: $144.57/hr
-  'NM': 144.57, 'TX': 144.57,
-  
-  // West: $144.06/hr
-  'AK': 144.06, 'CA': 144.06, 'CO': 144.06, 'ID': 144.06, 'MT': 144.06,
-  'NV': 144.06, 'UT': 144.06, 'WA': 144.06,
-  
-  // Special cases
-  'MD': 135.63, // Near DC, use Northeast
-  'DC': 135.63  // Federal district
-};
+import { lookupZipCentroid } from './zipCentroids.js';
+import { lookupZipCounty } from './zipCounties.js';
+import { getRateTables, FALLOFF_CURVES } from './laborRateTables.js';
 
-// National average (used as baseline)
+// National average (used as baseline - data/*.json labor dollars are priced at this rate)
 export const NATIONAL_AVERAGE = 144.06;
 
-// Major US Cities Coordinates (for distance-based premium calculation)
-export const CITY_COORDINATES = {
-  'new york': { lat: 40.7128, lon: -74.0060, rate: 140 },
-  'los angeles': { lat: 34.0522, lon: -118.2437, rate: 149.50 },
-  'chicago': { lat: 41.8781, lon: -87.6298, rate: 147 },
-  'houston': { lat: 29.7604, lon: -95.3698, rate: 147 },
-  'phoenix': { lat: 33.4484, lon: -112.0740, rate: 142 },
-  'philadelphia': { lat: 39.9526, lon: -75.1652, rate: 140 },
-  'san antonio': { lat: 29.4241, lon: -98.4936, rate: 147 },
-  'san diego': { lat: 32.7157, lon: -117.1611, rate: 149.50 },
-  'dallas': { lat: 32.7767, lon: -96.7970, rate: 147 },
-  'san jose': { lat: 37.3382, lon: -121.8863, rate: 150 },
-  'austin': { lat: 30.2672, lon: -97.7431, rate: 147 },
-  'jacksonville': { lat: 30.3322, lon: -81.6557, rate: 144.50 },
-  'fort worth': { lat: 32.7555, lon: -97.3308, rate: 147 },
-  'charlotte': { lat: 35.2271, lon: -80.8431, rate: 148 },
-  'san francisco': { lat: 37.7749, lon: -122.4194, rate: 152.50 },
-  'indianapolis': { lat: 39.7684, lon: -86.1581, rate: 147 },
-  'columbus': { lat: 39.9612, lon: -82.9988, rate: 140 },
-  'seattle': { lat: 47.6062, lon: -122.3321, rate: 147 },
-  'denver': { lat: 39.7392, lon: -104.9903, rate: 147 },
-  'washington dc': { lat: 38.9072, lon: -77.0369, rate: 140 },
-  'boston': { lat: 42.3601, lon: -71.0589, rate: 140 },
-  'nashville': { lat: 36.1627, lon: -86.7816, rate: 148 },
-  'oklahoma city': { lat: 35.4676, lon: -97.5164, rate: 148 },
-  'las vegas': { lat: 36.1699, lon: -115.1398, rate: 147 },
-  'portland': { lat: 45.5152, lon: -122.6784, rate: 151 }
-};
+// State, region and metro rates live in /rates (see laborRateTables.js)
 
 /**
  * Calculate distance between two coordinates (Haversine formula)
@@ -96,34 +33,12 @@ export function calculateDistance(lat1, lon1, lat2, lon2) {
 }
 
 /**
- * Estimate coordinates for a ZIP code
+ * Get coordinates for a ZIP code from the bundled Census ZCTA centroids
  * @param {string} zip - 5-digit ZIP code
- * @returns {object} {lat, lon} coordinates
+ * @returns {object} {lat, lon, precision} - precision is 'exact', 'zip3' (nearby ZIP) or 'default' (center of US)
  */
 export function getZipCoordinates(zip) {
-  const zipNum = parseInt(zip);
-  let lat, lon;
-  
-  // Rough approximation based on ZIP code ranges
-  if (zipNum >= 10000 && zipNum <= 14999) { // NY area
-    lat = 40.7 + (zipNum - 10000) / 50000;
-    lon = -74.0 + (zipNum - 10000) / 100000;
-  } else if (zipNum >= 90000 && zipNum <= 96999) { // CA area
-    lat = 34.0 + (zipNum - 90000) / 70000;
-    lon = -118.0 + (zipNum - 90000) / 100000;
-  } else if (zipNum >= 60000 && zipNum <= 69999) { // IL area
-    lat = 41.8 + (zipNum - 60000) / 100000;
-    lon = -87.6 + (zipNum - 60000) / 100000;
-  } else if (zipNum >= 77000 && zipNum <= 79999) { // TX area
-    lat = 29.7 + (zipNum - 77000) / 30000;
-    lon = -95.3 + (zipNum - 77000) / 50000;
-  } else {
-    // Default to center of US
-    lat = 39.8;
-    lon = -98.5;
-  }
-  
-  return { lat, lon };
+  return lookupZipCentroid(zip);
 }
 
 /**
@@ -192,83 +107,196 @@ function getStateFromZip(zip) {
   return null;
 }
 
+function nationalAverageRate() {
+  return {
+    rate: NATIONAL_AVERAGE,
+    source: 'National Average',
+    breakdown: {
+      layer: 'national',
+      baseRate: NATIONAL_AVERAGE,
+      cityPremium: 0,
+      nearestCity: null
+    },
+    coordinates: null
+  };
+}
+
+// Table entries are either a bare rate or { rate, name }
+function rateOf(entry) {
+  return typeof entry === 'number' ? entry : entry?.rate;
+}
+
+/**
+ * Find the closest metro center to a point
+ * @param {object} coords - {lat, lon}
+ * @param {object} metros - metros.json rates keyed by CBSA
+ * @returns {object|null} { cbsa, name, distance }
+ */
+function findNearestMetroCenter(coords, metros) {
+  let nearest = null;
+
+  for (const [cbsa, metro] of Object.entries(metros)) {
+    for (const center of metro.centers) {
+      const distance = calculateDistance(coords.lat, coords.lon, center.lat, center.lon);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { cbsa, name: center.name, distance };
+      }
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Blend nearby metro rates into a base rate by distance
+ * Each metro within its blend radius gets weight falloff(distance / radius); the base
+ * rate keeps whatever weight the strongest metro leaves (1 - max weight), so the rate
+ * moves smoothly from the metro rate at its center to the base rate at the edge.
+ * @param {object} coords - {lat, lon}
+ * @param {number} baseRate - State (or region) rate to blend toward
+ * @param {object} tables - Active rate tables
+ * @returns {object} { rate, baseWeight, contributors: [{ city, cbsa, distance, rate, weight }] }
+ */
+export function blendMetroRates(coords, baseRate, tables) {
+  const influences = [];
+
+  for (const [cbsa, metro] of Object.entries(tables.metros)) {
+    const { radiusMiles, falloff } = tables.metroBlend[cbsa];
+
+    // Closest center of this metro
+    let closest = null;
+    for (const center of metro.centers) {
+      const distance = calculateDistance(coords.lat, coords.lon, center.lat, center.lon);
+      if (!closest || distance < closest.distance) {
+        closest = { city: center.name, distance };
+      }
+    }
+
+    if (closest.distance < radiusMiles) {
+      const influence = FALLOFF_CURVES[falloff](closest.distance / radiusMiles);
+      if (influence > 0) {
+        influences.push({ ...closest, cbsa, label: metro.label, rate: metro.rate, influence });
+      }
+    }
+  }
+
+  const baseInfluence = 1 - Math.max(0, ...influences.map(item => item.influence));
+  const totalInfluence = baseInfluence + influences.reduce((sum, item) => sum + item.influence, 0);
+
+  const rate = (baseRate * baseInfluence +
+                influences.reduce((sum, item) => sum + item.rate * item.influence, 0)) / totalInfluence;
+
+  return {
+    rate: Math.round(rate * 100) / 100,
+    baseWeight: Math.round((baseInfluence / totalInfluence) * 1000) / 1000,
+    contributors: influences
+      .sort((a, b) => b.influence - a.influence)
+      .map(item => ({
+        city: item.city,
+        label: item.label,
+        cbsa: item.cbsa,
+        distance: Math.round(item.distance * 10) / 10,
+        rate: item.rate,
+        weight: Math.round((item.influence / totalInfluence) * 1000) / 1000
+      }))
+  };
+}
+
 /**
  * Get labor rate for a ZIP code
- * Factors in: state base rate + city premium (if within 15 miles of major city)
+ * Uses the most specific layer with data: ZIP3 → county → metro (CBSA) → state → region → national
+ * In "blend" mode (metros.json `blending.mode`), the metro/state/region layers are replaced by
+ * a distance-weighted mix of nearby metro rates and the state rate - for ZIPs in a metro's
+ * counties too, so the rate doesn't jump at the county line.
  * @param {string} zip - 5-digit ZIP code
- * @returns {object} { rate: number, source: string, breakdown: object }
+ * @returns {object} { rate: number, source: string, breakdown: object, coordinates: object|null }
  */
 export function getLaborRate(zip) {
   if (!zip || zip.length !== 5) {
-    return {
-      rate: NATIONAL_AVERAGE,
-      source: 'National Average',
-      breakdown: {
-        baseRate: NATIONAL_AVERAGE,
-        cityPremium: 0,
-        nearestCity: null
-      }
-    };
+    return nationalAverageRate();
   }
 
   // Get state from ZIP
   const state = getStateFromZip(zip);
   if (!state) {
-    return {
-      rate: NATIONAL_AVERAGE,
-      source: 'National Average',
-      breakdown: {
-        baseRate: NATIONAL_AVERAGE,
-        cityPremium: 0,
-        nearestCity: null
-      }
-    };
+    return nationalAverageRate();
   }
 
-  // Get base state rate
-  const baseRate = STATE_LABOR_RATES[state] || NATIONAL_AVERAGE;
-  
-  // Check if near a major city (within 15 miles)
+  const tables = getRateTables();
   const zipCoords = getZipCoordinates(zip);
-  let nearestCity = null;
-  let minDistance = Infinity;
-  
-  for (const [cityName, cityData] of Object.entries(CITY_COORDINATES)) {
-    const distance = calculateDistance(
-      zipCoords.lat, zipCoords.lon,
-      cityData.lat, cityData.lon
-    );
-    
-    if (distance < minDistance) {
-      minDistance = distance;
-      nearestCity = { name: cityName, distance, rate: cityData.rate };
-    }
+  const zip3 = zip.substring(0, 3);
+  const county = lookupZipCounty(zip);
+  const region = tables.stateToRegion[state] || null;
+
+  // State base rate: state survey figure, else the region average
+  const regionRate = region ? tables.regions[region].rate : null;
+  const baseRate = tables.states[state] ?? regionRate ?? NATIONAL_AVERAGE;
+
+  const nearestCity = findNearestMetroCenter(zipCoords, tables.metros);
+
+  // Metro membership by county; ZIPs with no known county fall back to distance from a metro center
+  let metroCode = county ? tables.countyToMetro[county] || null : null;
+  if (!county && nearestCity && nearestCity.distance <= tables.metroRadiusMiles) {
+    metroCode = nearestCity.cbsa;
   }
-  
-  // If within 15 miles of major city, use city rate instead
-  if (nearestCity && minDistance <= 15) {
-    return {
-      rate: nearestCity.rate,
-      source: `${nearestCity.name} metro area`,
-      breakdown: {
-        baseRate: baseRate,
-        cityPremium: nearestCity.rate - baseRate,
-        nearestCity: nearestCity.name,
-        distanceToCity: Math.round(minDistance * 10) / 10
-      }
-    };
+
+  let layer;
+  let blend = null;
+  if (tables.zip3[zip3] !== undefined) {
+    const entry = tables.zip3[zip3];
+    layer = { layer: 'zip3', key: zip3, rate: rateOf(entry), source: entry.name || `ZIP ${zip3}xx area` };
+  } else if (county && tables.counties[county] !== undefined) {
+    const entry = tables.counties[county];
+    layer = { layer: 'county', key: county, rate: rateOf(entry), source: entry.name ? `${entry.name} county average` : `County ${county} average` };
+  } else if (tables.blending.mode === 'blend') {
+    blend = blendMetroRates(zipCoords, baseRate, tables);
+    const top = blend.contributors[0];
+    layer = top
+      ? { layer: 'metro-blend', key: top.cbsa, rate: blend.rate, source: `${top.label} metro area (blended)` }
+      : {
+          layer: tables.states[state] !== undefined ? 'state' : 'region',
+          key: tables.states[state] !== undefined ? state : region,
+          rate: baseRate,
+          source: tables.states[state] !== undefined ? `${state} state average` : `${region} regional average (${state})`
+        };
+  } else if (metroCode) {
+    const metro = tables.metros[metroCode];
+    layer = { layer: 'metro', key: metroCode, rate: metro.rate, source: `${metro.label} metro area` };
+  } else if (tables.states[state] !== undefined) {
+    layer = { layer: 'state', key: state, rate: tables.states[state], source: `${state} state average` };
+  } else if (regionRate !== null) {
+    layer = { layer: 'region', key: region, rate: regionRate, source: `${region} regional average (${state})` };
+  } else {
+    layer = { layer: 'national', key: null, rate: NATIONAL_AVERAGE, source: 'National Average' };
   }
-  
-  // Otherwise use state rate
+
+  // Admin rate overrides (pricingOverrides.js) that fed into this rate
+  const usedMetros = layer.layer === 'metro' ? [metroCode]
+    : blend ? blend.contributors.map(item => item.cbsa)
+    : [];
+  const rateOverrides = [
+    ...(['state', 'metro-blend'].includes(layer.layer) && tables.overrides?.states[state] !== undefined ? [`state:${state}`] : []),
+    ...usedMetros.filter(cbsa => tables.overrides?.metros[cbsa] !== undefined).map(cbsa => `metro:${cbsa}`)
+  ];
+
   return {
-    rate: baseRate,
-    source: `${state} state average`,
+    rate: layer.rate,
+    source: layer.source,
     breakdown: {
+      layer: layer.layer,
+      layerKey: layer.key,
       baseRate: baseRate,
-      cityPremium: 0,
+      cityPremium: Math.round((layer.rate - baseRate) * 100) / 100,
+      state,
+      region,
+      county,
+      metro: metroCode,
       nearestCity: nearestCity ? nearestCity.name : null,
-      distanceToCity: nearestCity ? Math.round(minDistance * 10) / 10 : null
-    }
+      distanceToCity: nearestCity ? Math.round(nearestCity.distance * 10) / 10 : null,
+      blend: blend ? { baseWeight: blend.baseWeight, contributors: blend.contributors } : null,
+      rateOverrides
+    },
+    coordinates: zipCoords
   };
 }
 
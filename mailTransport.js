@@ -0,0 +1,269 @@
+/**
+ * MAIL TRANSPORT MODULE
+ * MIME message building and pluggable delivery transports - no external dependencies
+ *
+ * Transports share one interface: send(message) → Promise<{ messageId, transport }>
+ *   smtp    - plain SMTP client (implicit TLS or STARTTLS, AUTH PLAIN)
+ *   file    - writes each message as an .eml file (local stand-in for SMTP)
+ *   console - logs the envelope and text body
+ *
+ * A message is { from, to, subject, text, html, attachments: [{ filename, contentType, content: Buffer }] }.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import path from 'path';
+
+export const TRANSPORT_TYPES = ['smtp', 'file', 'console'];
+
+const SMTP_TIMEOUT_MS = 30000;
+
+// Bare address from "Name <addr@host>"
+const addressOf = (value) => (String(value).match(/<([^>]+)>/)?.[1] || String(value)).trim();
+
+// RFC 2047 encoded-word for non-ASCII header values
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`);
+
+const base64Lines = (buffer) => buffer.toString('base64').replace(/.{1,76}/g, '$&\r\n').trimEnd();
+
+/**
+ * Serialize a message as RFC 5322 / MIME
+ * text and html become multipart/alternative; attachments wrap it in multipart/mixed.
+ * @param {object} message - { from, to, subject, text, html, attachments }
+ * @returns {object} { messageId, raw: string (CRLF line endings) }
+ */
+export function buildMimeMessage({ from, to, subject, text, html, attachments = [] }) {
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+  const boundary = (label) => `=_${label}_${crypto.randomBytes(12).toString('hex')}`;
+
+  const textPart = (contentType, body) => [
+    `Content-Type: ${contentType}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(Buffer.from(body, 'utf-8'))
+  ].join('\r\n');
+
+  let body;
+  if (html) {
+    const alt = boundary('alt');
+    body = [
+      `Content-Type: multipart/alternative; boundary="${alt}"`,
+      '',
+      `--${alt}`,
+      textPart('text/plain', text || ''),
+      `--${alt}`,
+      textPart('text/html', html),
+      `--${alt}--`
+    ].join('\r\n');
+  } else {
+    body = textPart('text/plain', text || '');
+  }
+
+  if (attachments.length > 0) {
+    const mixed = boundary('mixed');
+    body = [
+      `Content-Type: multipart/mixed; boundary="${mixed}"`,
+      '',
+      `--${mixed}`,
+      body,
+      ...attachments.flatMap(attachment => [
+        `--${mixed}`,
+        `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${attachment.filename}"`,
+        'Content-Transfer-Encoding: base64',
+        `Content-Disposition: attachment; filename="${attachment.filename}"`,
+        '',
+        base64Lines(attachment.content)
+      ]),
+      `--${mixed}--`
+    ].join('\r\n');
+  }
+
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0'
+  ];
+
+  return { messageId, raw: `${headers.join('\r\n')}\r\n${body}\r\n` };
+}
+
+// ============================================================
+// SMTP
+// ============================================================
+
+/**
+ * Minimal SMTP session: one connection per message
+ * @param {object} config - { host, port, secure, user, pass }
+ */
+function createSmtpTransport({ host, port = 587, secure = port === 465, user, pass }) {
+  if (!host) throw new Error('SMTP transport needs SMTP_HOST');
+
+  function send(message) {
+    const { messageId, raw } = buildMimeMessage(message);
+
+    return new Promise((resolve, reject) => {
+      let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+      let buffer = '';
+      let pending = null;
+      let finished = false;
+
+      const fail = (error) => {
+        if (finished) return;
+        finished = true;
+        socket.destroy();
+        reject(error);
+      };
+
+      const onData = (chunk) => {
+        buffer += chunk.toString('utf-8');
+        // A reply is complete at a "NNN " line (multi-line replies use "NNN-")
+        const lines = buffer.split('\r\n');
+        const last = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (last === -1 || !pending) return;
+        const reply = lines.slice(0, last + 1);
+        buffer = lines.slice(last + 1).join('\r\n');
+        const handler = pending;
+        pending = null;
+        handler({ code: Number(reply[last].slice(0, 3)), lines: reply });
+      };
+
+      const attach = () => {
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => fail(new Error(`SMTP timeout talking to ${host}:${port}`)));
+        socket.on('data', onData);
+        socket.on('error', fail);
+        socket.on('close', () => fail(new Error(`SMTP connection to ${host}:${port} closed`)));
+      };
+
+      const expect = (codes) => new Promise((done, failReply) => {
+        pending = (reply) => (codes.includes(reply.code)
+          ? done(reply)
+          : failReply(Object.assign(new Error(`SMTP ${reply.code}: ${reply.lines.join(' ').slice(4)}`), { smtpCode: reply.code })));
+        onData(Buffer.alloc(0));
+      });
+
+      const command = (line, codes) => {
+        socket.write(`${line}\r\n`);
+        return expect(codes);
+      };
+
+      const session = async () => {
+        await expect([220]);
+        let hello = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+
+        if (!secure && hello.lines.some(line => /STARTTLS/i.test(line))) {
+          await command('STARTTLS', [220]);
+          socket.removeListener('data', onData);
+          socket.removeListener('error', fail);
+          socket = tls.connect({ socket, servername: host });
+          attach();
+          await new Promise(ready => socket.once('secureConnect', ready));
+          hello = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        }
+
+        if (user) {
+          const token = Buffer.from(`\0${user}\0${pass || ''}`, 'utf-8').toString('base64');
+          await command(`AUTH PLAIN ${token}`, [235]);
+        }
+
+        await command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+        await command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+        await command('DATA', [354]);
+        // Dot-stuff lines that start with "."
+        await command(`${raw.replace(/\r\n\./g, '\r\n..')}\r\n.`, [250]);
+        await command('QUIT', [221]).catch(() => {});
+
+        finished = true;
+        socket.end();
+        resolve({ messageId, transport: 'smtp' });
+      };
+
+      attach();
+      session().catch(fail);
+    });
+  }
+
+  return { name: 'smtp', send };
+}
+
+// ============================================================
+// FILE / CONSOLE (Development and tests)
+// ============================================================
+function createFileTransport({ dir }) {
+  async function send(message) {
+    const { messageId, raw } = buildMimeMessage(message);
+    await fs.mkdir(dir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+    const file = path.join(dir, `${stamp}-${messageId.slice(1, 9)}.eml`);
+    await fs.writeFile(file, raw, 'utf-8');
+
+    return { messageId, transport: 'file', file };
+  }
+
+  return { name: 'file', send };
+}
+
+function createConsoleTransport() {
+  async function send(message) {
+    const { messageId } = buildMimeMessage(message);
+    const attachments = (message.attachments || []).map(a => `${a.filename} (${a.content.length} bytes)`).join(', ');
+
+    console.log(`  ✉️  [console mail] To: ${message.to} | Subject: ${message.subject}${attachments ? ` | Attachments: ${attachments}` : ''}`);
+    console.log(message.text.split('\n').map(line => `      ${line}`).join('\n'));
+
+    return { messageId, transport: 'console' };
+  }
+
+  return { name: 'console', send };
+}
+
+/**
+ * Create a transport
+ * @param {object} config - { type: 'smtp' | 'file' | 'console', smtp: {...}, dir }
+ * @returns {object} { name, send(message) }
+ */
+export function createTransport({ type, smtp = {}, dir } = {}) {
+  switch (type) {
+    case 'smtp':
+      return createSmtpTransport(smtp);
+    case 'file':
+      return createFileTransport({ dir });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport "${type}" (expected ${TRANSPORT_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Transport settings from the environment
+ * EMAIL_TRANSPORT picks the transport; without it, SMTP is used when SMTP_HOST is set,
+ * otherwise messages land in the outbox directory.
+ * @param {string} defaultDir - Outbox directory when EMAIL_OUTBOX_DIR is unset
+ * @returns {object} createTransport() config
+ */
+export function transportConfigFromEnv(defaultDir) {
+  const env = process.env;
+  const port = parseInt(env.SMTP_PORT) || 587;
+
+  return {
+    type: env.EMAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'file'),
+    smtp: {
+      host: env.SMTP_HOST,
+      port,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === '1' : port === 465,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS
+    },
+    dir: env.EMAIL_OUTBOX_DIR || defaultDir
+  };
+}
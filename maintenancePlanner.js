@@ -0,0 +1,247 @@
+/**
+ * MAINTENANCE PLANNER MODULE
+ * Forward-looking service schedule for one vehicle, priced like /api/quote
+ *
+ * Intervals come from maintenance_schedules.json (default items, replaced per
+ * make and then per model). The plan covers `years` or `miles` of driving,
+ * whichever runs out first, and steps month by month from today: an item
+ * is due when the odometer has covered its mileage interval or the vehicle has
+ * aged its time interval since the last service, whichever comes first.
+ *
+ * Service history isn't known, so items are assumed to have been done on
+ * schedule so far: the last service was at the most recent mileage multiple of
+ * the interval (or, for time-only items, the most recent age multiple).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { computeQuote } from './quoteEngine.js';
+import { describeRepair } from './repairCatalog.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEDULES_FILE = path.join(__dirname, 'maintenance_schedules.json');
+
+export const DEFAULT_ANNUAL_MILEAGE = 12000;
+export const DEFAULT_PLAN_YEARS = 5;
+export const DEFAULT_PLAN_MILES = 100000;
+const MAX_PLAN_YEARS = 10;
+const MAX_PLAN_MILES = 300000;
+const MAX_ANNUAL_MILEAGE = 100000;
+
+let schedules = null;
+
+function checkItems(items, where) {
+  for (const [slug, interval] of Object.entries(items || {})) {
+    if (interval === null) continue;
+    const { miles, months } = interval;
+    if ((miles !== undefined && !(miles > 0)) || (months !== undefined && !(months > 0)) || (!miles && !months)) {
+      throw new Error(`maintenance_schedules.json: ${where}.${slug} needs a positive miles and/or months interval`);
+    }
+  }
+}
+
+function loadSchedules() {
+  const parsed = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf-8'));
+
+  checkItems(parsed.default, 'default');
+  for (const [make, entry] of Object.entries(parsed.makes || {})) {
+    checkItems(entry.items, `makes.${make}.items`);
+    for (const [model, items] of Object.entries(entry.models || {})) {
+      checkItems(items, `makes.${make}.models.${model}`);
+    }
+  }
+
+  return { default: parsed.default || {}, makes: parsed.makes || {}, updatedAt: parsed.updatedAt || null };
+}
+
+/**
+ * Get the active schedule table
+ * @returns {object} { default, makes, updatedAt }
+ */
+export function getMaintenanceSchedules() {
+  if (!schedules) {
+    schedules = loadSchedules();
+  }
+  return schedules;
+}
+
+/**
+ * Service intervals for one vehicle (default < make < model)
+ * @param {string} make - Normalized make
+ * @param {string} model - Normalized model
+ * @returns {object} { [repairSlug]: { miles?, months? } }
+ */
+export function getServiceIntervals(make, model) {
+  const table = getMaintenanceSchedules();
+  const makeEntry = table.makes[make] || {};
+  const merged = { ...table.default, ...makeEntry.items, ...makeEntry.models?.[model] };
+
+  return Object.fromEntries(Object.entries(merged).filter(([, interval]) => interval !== null));
+}
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+const addMonths = (date, months) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+
+/**
+ * Lay out due services over the plan horizon (unpriced)
+ * @param {object} intervals - getServiceIntervals() result
+ * @param {object} params - { modelYear, currentMileage, annualMileage, months, now }
+ * @returns {Array<object>} [{ month, date, mileage, repairSlug, trigger: 'mileage' | 'time' }]
+ */
+export function scheduleServices(intervals, { modelYear, currentMileage, annualMileage, months, now = new Date() }) {
+  const start = addMonths(now, 0);
+  // Age in months, counting from January of the model year
+  const startAge = Math.max(0, (start.getUTCFullYear() - modelYear) * 12 + start.getUTCMonth());
+
+  const state = Object.entries(intervals).map(([repairSlug, interval]) => {
+    if (!interval.miles) {
+      return { repairSlug, interval, lastMiles: null, lastAge: Math.floor(startAge / interval.months) * interval.months };
+    }
+    // The time clock starts when the odometer passed that multiple
+    const lastMiles = Math.floor(currentMileage / interval.miles) * interval.miles;
+    const monthsAgo = ((currentMileage - lastMiles) / annualMileage) * 12;
+    return { repairSlug, interval, lastMiles, lastAge: startAge - monthsAgo };
+  });
+
+  const events = [];
+  for (let month = 1; month <= months; month++) {
+    const mileage = currentMileage + (annualMileage * month) / 12;
+    const age = startAge + month;
+
+    for (const item of state) {
+      const { miles, months: everyMonths } = item.interval;
+      const byMileage = miles && mileage - item.lastMiles >= miles;
+      const byTime = everyMonths && age - item.lastAge >= everyMonths;
+      if (!byMileage && !byTime) continue;
+
+      events.push({
+        month,
+        date: monthKey(addMonths(start, month)),
+        mileage: Math.round(mileage / 100) * 100,
+        repairSlug: item.repairSlug,
+        trigger: byMileage ? 'mileage' : 'time'
+      });
+
+      // Keep mileage services on their multiples so intervals don't drift
+      item.lastMiles = miles ? (byMileage ? item.lastMiles + miles : mileage) : null;
+      item.lastAge = age;
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Build a priced maintenance plan
+ * @param {object} vehicleData - Loaded pricing data keyed by make/model/year/repair
+ * @param {object} params - { year, make, model, zip, currentMileage, annualMileage, years, miles, shopType, partsGrade }
+ *                          (miles: driving covered by the plan, on top of currentMileage)
+ * @param {object} options - Passed through to computeQuote() ({ fallback, productionYears, inflation, dataVersions })
+ * @returns {object} { ok, items, yearly: [...plan-year totals], total, unpriced, horizon, ... } or { ok: false, error }
+ */
+export function planMaintenance(vehicleData, { year, make, model, zip, currentMileage, annualMileage, years, miles, shopType, partsGrade }, options = {}, now = new Date()) {
+  const mileage = Number(currentMileage);
+  const perYear = annualMileage === undefined || annualMileage === null || annualMileage === '' ? DEFAULT_ANNUAL_MILEAGE : Number(annualMileage);
+  const planYears = years === undefined || years === null || years === '' ? DEFAULT_PLAN_YEARS : Number(years);
+  const planMiles = miles === undefined || miles === null || miles === '' ? DEFAULT_PLAN_MILES : Number(miles);
+
+  if (!Number.isFinite(mileage) || mileage < 0) {
+    return { ok: false, error: 'currentMileage must be a non-negative number' };
+  }
+  if (!(perYear > 0 && perYear <= MAX_ANNUAL_MILEAGE)) {
+    return { ok: false, error: `annualMileage must be between 1 and ${MAX_ANNUAL_MILEAGE}` };
+  }
+  if (!Number.isInteger(planYears) || planYears < 1 || planYears > MAX_PLAN_YEARS) {
+    return { ok: false, error: `years must be a whole number from 1 to ${MAX_PLAN_YEARS}` };
+  }
+  if (!Number.isInteger(planMiles) || planMiles < 1 || planMiles > MAX_PLAN_MILES) {
+    return { ok: false, error: `miles must be a whole number from 1 to ${MAX_PLAN_MILES}` };
+  }
+
+  // Whichever limit comes first ends the plan
+  const milesMonths = Math.ceil((planMiles / perYear) * 12);
+  const months = Math.min(planYears * 12, milesMonths);
+  const endMileage = Math.round(mileage + Math.min(planMiles, (perYear * months) / 12));
+
+  const normMake = String(make || '').toLowerCase().trim();
+  const normModel = String(model || '').toLowerCase().trim();
+  const intervals = getServiceIntervals(normMake, normModel);
+
+  // Price each service once; a repair missing from this vehicle's data stays unpriced
+  const quotes = {};
+  for (const repairSlug of Object.keys(intervals)) {
+    const quote = computeQuote(vehicleData, { year, make, model, repairSlug, zip, shopType, partsGrade }, options);
+    if (quote.ok) {
+      quotes[repairSlug] = quote;
+    } else if (quote.error !== 'Repair not found') {
+      // Make/model/year/tier problems apply to every item
+      return quote;
+    }
+  }
+
+  const events = scheduleServices(intervals, {
+    modelYear: Number(year),
+    currentMileage: mileage,
+    annualMileage: perYear,
+    months,
+    now
+  });
+
+  const items = events.map(event => {
+    const quote = quotes[event.repairSlug];
+    return {
+      ...event,
+      title: quote ? quote.repairTitle : describeRepair(event.repairSlug).title,
+      interval: intervals[event.repairSlug],
+      price: quote ? quote.price : null
+    };
+  });
+
+  // Plan year N covers months 12(N-1)+1 .. 12N (the last one may end early)
+  const yearly = Array.from({ length: Math.ceil(months / 12) }, (_, index) => {
+    const inYear = items.filter(item => Math.ceil(item.month / 12) === index + 1);
+    const priced = inYear.filter(item => item.price);
+    return {
+      planYear: index + 1,
+      from: monthKey(addMonths(now, index * 12 + 1)),
+      to: monthKey(addMonths(now, Math.min(index * 12 + 12, months))),
+      mileage: {
+        from: Math.round(mileage + perYear * index),
+        to: Math.min(Math.round(mileage + perYear * (index + 1)), endMileage)
+      },
+      services: inYear.length,
+      total: {
+        low: priced.reduce((sum, item) => sum + item.price.low, 0),
+        high: priced.reduce((sum, item) => sum + item.price.high, 0)
+      }
+    };
+  });
+
+  const anyQuote = Object.values(quotes)[0];
+
+  return {
+    ok: true,
+    vehicle: { year, make, model },
+    currentMileage: mileage,
+    annualMileage: perYear,
+    years: planYears,
+    miles: planMiles,
+    horizon: {
+      months,
+      endMileage,
+      limitedBy: milesMonths < planYears * 12 ? 'miles' : 'years'
+    },
+    items,
+    yearly,
+    total: {
+      low: yearly.reduce((sum, entry) => sum + entry.total.low, 0),
+      high: yearly.reduce((sum, entry) => sum + entry.total.high, 0)
+    },
+    intervals,
+    unpriced: Object.keys(intervals).filter(repairSlug => !quotes[repairSlug]),
+    shopTier: anyQuote?.shopTier || null,
+    location: anyQuote?.location || null,
+    regionalAdjustment: anyQuote?.regionalAdjustment || null
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * API KEY COMMAND
+ * Create, list, rotate and revoke API keys without the admin API
+ * (bootstrapping the first keys, or when ADMIN_API_KEY isn't set)
+ *
+ * Usage:
+ *   node manageApiKeys.js list
+ *   node manageApiKeys.js create --name frontend --scopes checkout,session [--expires-days 365]
+ *   node manageApiKeys.js import --name frontend --scopes checkout,session   (key read from API_KEY_IMPORT)
+ *   node manageApiKeys.js rotate <id> [--grace-hours 24]
+ *   node manageApiKeys.js revoke <id>
+ *
+ * Edits STORE_DIR/api_keys.json directly - stop the server first (a running
+ * server keeps its own copy and would overwrite the change), or use the
+ * /api/admin/api-keys endpoints instead.
+ */
+
+import { initApiKeys, listApiKeys, createApiKey, rotateApiKey, revokeApiKey, API_KEY_SCOPES } from './apiKeys.js';
+
+const [command, ...rest] = process.argv.slice(2);
+
+function option(name) {
+  const index = rest.indexOf(`--${name}`);
+  return index === -1 ? undefined : rest[index + 1];
+}
+
+const actor = `cli:${process.env.USER || 'unknown'}`;
+
+function printCreated(result) {
+  console.log(`✅ Key ${result.apiKey.id} (${result.apiKey.name}) scopes: ${result.apiKey.scopes.join(', ')}`);
+  if (result.key !== process.env.API_KEY_IMPORT) {
+    console.log(`   Key: ${result.key}`);
+    console.log('   Store it now - it is not shown again.');
+  }
+}
+
+try {
+  await initApiKeys({ flushUsage: false });
+
+  switch (command) {
+    case 'list':
+      for (const key of listApiKeys()) {
+        console.log(`${key.id}  ${key.prefix}…  ${key.name}  [${key.scopes.join(',')}]  ${key.state}` +
+          `${key.expiresAt ? `  expires ${key.expiresAt}` : ''}  used ${key.usage.total}x${key.lastUsedAt ? `, last ${key.lastUsedAt}` : ''}`);
+      }
+      break;
+
+    case 'create':
+    case 'import': {
+      const key = command === 'import' ? process.env.API_KEY_IMPORT : undefined;
+      if (command === 'import' && !key) {
+        throw new Error('Set API_KEY_IMPORT to the key to import');
+      }
+      const result = await createApiKey({ name: option('name'), scopes: option('scopes'), expiresInDays: option('expires-days'), key }, actor);
+      if (result.error) throw new Error(result.error);
+      printCreated(result);
+      break;
+    }
+
+    case 'rotate': {
+      const result = await rotateApiKey(rest[0], { graceHours: option('grace-hours') ?? undefined }, actor);
+      if (!result) throw new Error(`No key ${rest[0]}`);
+      if (result.error) throw new Error(result.error);
+      printCreated(result);
+      console.log(`   Old key ${result.previous.id} stops working at ${result.previous.expiresAt}`);
+      break;
+    }
+
+    case 'revoke': {
+      const result = await revokeApiKey(rest[0], actor);
+      if (!result) throw new Error(`No key ${rest[0]}`);
+      console.log(`✅ Key ${result.id} (${result.name}) revoked`);
+      break;
+    }
+
+    default:
+      console.log('Usage: node manageApiKeys.js list | create | import | rotate <id> | revoke <id>');
+      console.log(`Scopes: ${API_KEY_SCOPES.join(', ')}`);
+      process.exitCode = command ? 1 : 0;
+  }
+} catch (error) {
+  console.error('❌', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,187 @@
+/**
+ * ORDER STORE MODULE
+ * File-backed storage for paid pricing reports, keyed by Stripe session ID
+ *
+ * Layout of the store file (STORE_DIR/orders.json):
+ * {
+ *   orders: { [sessionId]: { sessionId, status, vehicle, repair, zip, quote, email, ... } },
+ *   processedEvents: { [eventId]: { type, sessionId, processedAt } }
+ * }
+ *
+ * Writes go through a single promise chain and land via temp file + rename,
+ * so concurrent webhook deliveries can't interleave or leave a half-written file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STORE_DIR = process.env.STORE_DIR || path.join(__dirname, 'store');
+const ORDERS_FILE = path.join(STORE_DIR, 'orders.json');
+
+let state = { orders: {}, processedEvents: {} };
+let writeChain = Promise.resolve();
+
+/**
+ * Load the order store from disk (creates an empty store if none exists)
+ * @returns {Promise<object>} { orders: number, processedEvents: number }
+ */
+export async function initOrderStore() {
+  await fs.mkdir(STORE_DIR, { recursive: true });
+
+  try {
+    const parsed = JSON.parse(await fs.readFile(ORDERS_FILE, 'utf-8'));
+    state = {
+      orders: parsed.orders || {},
+      processedEvents: parsed.processedEvents || {}
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    state = { orders: {}, processedEvents: {} };
+  }
+
+  return {
+    orders: Object.keys(state.orders).length,
+    processedEvents: Object.keys(state.processedEvents).length
+  };
+}
+
+/**
+ * Persist the current state (serialized, atomic replace)
+ * @returns {Promise<void>}
+ */
+function persist() {
+  const task = writeChain.then(async () => {
+    const tmpFile = `${ORDERS_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(state, null, 2), 'utf-8');
+    await fs.rename(tmpFile, ORDERS_FILE);
+  });
+  // Keep the chain alive after a failed write
+  writeChain = task.catch(() => {});
+  return task;
+}
+
+/**
+ * Get a stored order
+ * @param {string} sessionId - Stripe Checkout Session ID
+ * @returns {object|null} Order record or null if unknown
+ */
+export function getOrder(sessionId) {
+  return state.orders[sessionId] || null;
+}
+
+/**
+ * Create or update an order (shallow merge over any existing record)
+ * @param {string} sessionId - Stripe Checkout Session ID
+ * @param {object} fields - Fields to set on the order
+ * @returns {Promise<object>} The stored order
+ */
+export async function saveOrder(sessionId, fields) {
+  const now = new Date().toISOString();
+  const existing = state.orders[sessionId];
+
+  state.orders[sessionId] = {
+    ...existing,
+    ...fields,
+    sessionId,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  await persist();
+  return state.orders[sessionId];
+}
+
+/**
+ * Check whether a Stripe event was already applied
+ * @param {string} eventId - Stripe event ID (evt_...)
+ * @returns {boolean}
+ */
+export function hasProcessedEvent(eventId) {
+  return Boolean(state.processedEvents[eventId]);
+}
+
+/**
+ * Record a Stripe event as applied, so redeliveries become no-ops
+ * Call once the event's follow-up work has succeeded - until then a redelivery
+ * is applied again.
+ * @param {object} event - Verified Stripe event
+ * @returns {Promise<void>}
+ */
+export async function markEventProcessed(event) {
+  state.processedEvents[event.id] = {
+    type: event.type,
+    sessionId: event.data.object.id,
+    processedAt: new Date().toISOString()
+  };
+  await persist();
+}
+
+/**
+ * Apply a completed Checkout Session to the store
+ * A repeated event ID that was already marked processed is a no-op; the caller
+ * marks the event with markEventProcessed() once its follow-up work is done.
+ * @param {object} event - Verified Stripe event (checkout.session.completed)
+ * @returns {Promise<object>} { duplicate: boolean, order: object }
+ */
+export async function recordCheckoutCompleted(event) {
+  const session = event.data.object;
+
+  if (hasProcessedEvent(event.id)) {
+    return { duplicate: true, order: getOrder(session.id) };
+  }
+
+  const metadata = session.metadata || {};
+  const existing = getOrder(session.id);
+
+  const order = await saveOrder(session.id, {
+    status: session.payment_status === 'paid' ? 'paid' : 'completed',
+    paymentStatus: session.payment_status,
+    email: session.customer_details?.email || session.customer_email || existing?.email || null,
+    amountTotal: session.amount_total ?? null,
+    currency: session.currency || null,
+    vehicle: existing?.vehicle || {
+      year: metadata.year,
+      make: metadata.make,
+      model: metadata.model
+    },
+    repair: existing?.repair || metadata.repair,
+    repairs: existing?.repairs || String(metadata.repair || '').split(',').filter(Boolean),
+    zip: existing?.zip || metadata.zip,
+    quote: existing?.quote || quoteFromMetadata(metadata),
+    quoteSignature: existing?.quoteSignature || metadata.quoteSignature || null,
+    metadata,
+    stripeEventId: event.id,
+    paidAt: session.payment_status === 'paid'
+      ? new Date((event.created || Date.now() / 1000) * 1000).toISOString()
+      : existing?.paidAt || null
+  });
+
+  return { duplicate: false, order };
+}
+
+/**
+ * Rebuild a quote breakdown from Stripe session metadata strings
+ * Used when the webhook arrives for a session we have no pending record of.
+ * @param {object} metadata - Stripe session metadata
+ * @returns {object} Quote breakdown in the /api/quote response shape
+ */
+export function quoteFromMetadata(metadata) {
+  const num = (value) => (value === undefined || value === '' ? null : Number(value));
+
+  return {
+    price: { low: num(metadata.priceLow), high: num(metadata.priceHigh) },
+    breakdown: {
+      parts: { low: num(metadata.partsLow), high: num(metadata.partsHigh) },
+      labor: {
+        low: num(metadata.laborLow),
+        high: num(metadata.laborHigh),
+        baseRate: num(metadata.laborRate)
+      }
+    },
+    location: { zip: metadata.zip, source: metadata.locationSource }
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * PDF WRITER MODULE
+ * Minimal PDF 1.4 generator for text reports - no external dependencies
+ *
+ * Supports US Letter pages with the standard Helvetica fonts (regular and
+ * bold, WinAnsi encoding), filled rectangles and lines. Coordinates are in
+ * points from the TOP-left corner; the writer flips them to PDF space.
+ *
+ * Text outside Latin-1 is replaced (a few typographic characters are mapped
+ * to their WinAnsi equivalents) since the standard fonts can't draw it.
+ */
+
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+// Helvetica-Bold runs slightly wider; close enough for wrapping and alignment
+const BOLD_FACTOR = 1.02;
+
+// Typographic characters the WinAnsi encoding has outside Latin-1
+const WIN_ANSI = { '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '…': 0x85 };
+
+function toWinAnsi(text) {
+  let out = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char]) out += String.fromCharCode(WIN_ANSI[char]);
+    else if (code >= 32 && code <= 255 && (code < 127 || code > 159)) out += char;
+    else if (char === '×') out += 'x';
+    else out += '?';
+  }
+  return out;
+}
+
+const escapeText = (text) => toWinAnsi(text).replace(/[\\()]/g, match => `\\${match}`);
+const num = (value) => Number(value.toFixed(2)).toString();
+
+function rgb(color) {
+  const hex = (color || '#000000').replace('#', '');
+  return [0, 2, 4].map(offset => num(parseInt(hex.slice(offset, offset + 2), 16) / 255)).join(' ');
+}
+
+/**
+ * Width of a string in points
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size (pt)
+ * @param {string} font - 'regular' | 'bold'
+ * @returns {number}
+ */
+export function textWidth(text, size, font = 'regular') {
+  let units = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units / 1000) * size * (font === 'bold' ? BOLD_FACTOR : 1);
+}
+
+/**
+ * Split text into lines that fit a width
+ * @param {string} text - Text to wrap (words are never broken)
+ * @param {number} width - Max line width (pt)
+ * @param {number} size - Font size (pt)
+ * @param {string} font - 'regular' | 'bold'
+ * @returns {string[]}
+ */
+export function wrapText(text, width, size, font = 'regular') {
+  const lines = [];
+  let line = '';
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, size, font) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Create a PDF document
+ * @param {object} info - { title, author } for the document properties
+ * @returns {object} { addPage, text, rect, line, toBuffer }
+ */
+export function createPdfDocument({ title = '', author = '' } = {}) {
+  const pages = [];
+  let current = null;
+
+  const flip = (y) => PAGE_HEIGHT - y;
+
+  function addPage() {
+    current = [];
+    pages.push(current);
+  }
+
+  /**
+   * Draw text with its baseline at y
+   * @param {object} options - { font: 'regular' | 'bold', size, color: '#rrggbb', align: 'left' | 'right' }
+   */
+  function text(x, y, value, { font = 'regular', size = 10, color = '#000000', align = 'left' } = {}) {
+    const left = align === 'right' ? x - textWidth(value, size, font) : x;
+    current.push(`BT /${FONTS[font]} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(flip(y))} Td (${escapeText(value)}) Tj ET`);
+  }
+
+  function rect(x, y, width, height, { fill = '#000000' } = {}) {
+    current.push(`${rgb(fill)} rg ${num(x)} ${num(flip(y + height))} ${num(width)} ${num(height)} re f`);
+  }
+
+  function line(x1, y1, x2, y2, { color = '#000000', width = 0.5 } = {}) {
+    current.push(`${rgb(color)} RG ${num(width)} w ${num(x1)} ${num(flip(y1))} m ${num(x2)} ${num(flip(y2))} l S`);
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer}
+   */
+  function toBuffer() {
+    // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then page + content pairs
+    const objects = [];
+    const pageRefs = pages.map((_, index) => `${6 + index * 2} 0 R`);
+
+    objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+    objects.push(`<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`);
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const created = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    objects.push(`<< /Title (${escapeText(title)}) /Author (${escapeText(author)}) /Producer (Fair Repair Auto) /CreationDate (D:${created}Z) >>`);
+
+    pages.forEach((operations, index) => {
+      const content = operations.join('\n');
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + index * 2} 0 R >>`);
+      objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    });
+
+    let body = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = [];
+    objects.forEach((object, index) => {
+      offsets.push(Buffer.byteLength(body, 'latin1'));
+      body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'latin1');
+  }
+
+  addPage();
+  return { addPage, text, rect, line, toBuffer };
+}
@@ -0,0 +1,431 @@
+/**
+ * PRICING DATA MODULE
+ * On-demand access to data/*.json pricing and production_years.json
+ *
+ * Startup builds an index instead of keeping all ~34 MB of JSON in memory:
+ * - each make file is validated once and written to DATA_CACHE_DIR as a
+ *   compact (minified, already validated) snapshot
+ * - index.json records each make's source size/mtime, generatedAt,
+ *   validation report, models/years and repair slugs
+ * - on the next start, makes whose source file is unchanged are not parsed
+ *
+ * Requests load the makes they need with loadVehicleData(); loaded makes are
+ * kept in an LRU cache of DATA_CACHE_MAKES makes.
+ *
+ * Every new generation (generatedAt) is also added to the pricing history
+ * (pricingHistory.js) before its snapshot replaces the old one.
+ *
+ * Hot reload: watchPricingData() watches /data and production_years.json. A
+ * changed file is re-validated and its snapshot replaced; a file that fails
+ * validation (unreadable JSON or any error) leaves the previous snapshot in
+ * use, so the last good version keeps being served.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import {
+  createValidationReport,
+  readMakeFile,
+  readProductionYears,
+  summarizeReport,
+  usableProductionYears
+} from './dataValidator.js';
+import { getSiblingModels } from './vehicleFallback.js';
+import { hasGeneration, recordGeneration } from './pricingHistory.js';
+
+// Bump when the snapshot or index layout changes (older caches are rebuilt)
+const INDEX_FORMAT = 1;
+
+// Editors and generators often write a file in several steps
+const RELOAD_DEBOUNCE_MS = 500;
+
+const CACHE_CAPACITY = Math.max(parseInt(process.env.DATA_CACHE_MAKES) || 6, 1);
+
+let rootDir = null;
+let cacheDir = null;
+let mode = 'lenient';
+let ready = false;
+let productionYears = {};
+let dataReport = null;
+let loadedAt = null;
+let lastReload = null;
+let index = { format: INDEX_FORMAT, mode, makes: {} };
+
+const makeCache = new Map();      // make → data (Map order = least recently used first)
+const pendingLoads = new Map();   // make → Promise<data>
+const generations = {};           // make → reload counter (stale loads are not cached)
+const cacheStats = { hits: 0, misses: 0, evictions: 0 };
+const reloadListeners = [];
+
+async function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fsp.writeFile(tmp, contents);
+  await fsp.rename(tmp, file);
+}
+
+function persistIndex() {
+  return writeFileAtomic(path.join(cacheDir, 'index.json'), JSON.stringify(index));
+}
+
+async function readIndex() {
+  try {
+    const parsed = JSON.parse(await fsp.readFile(path.join(cacheDir, 'index.json'), 'utf-8'));
+    // A different validation mode quarantines differently - rebuild
+    if (parsed.format === INDEX_FORMAT && parsed.mode === mode && parsed.makes) {
+      return parsed;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`  ⚠️  Pricing index unreadable, rebuilding: ${error.message}`);
+    }
+  }
+  return { format: INDEX_FORMAT, mode, makes: {} };
+}
+
+/**
+ * Summarize validated make data for the index
+ * @returns {object} { models: { model: [years] }, repairs: { slug: { title, entries } } }
+ */
+function describeMakeData(data) {
+  const models = {};
+  const repairs = {};
+
+  for (const [model, years] of Object.entries(data)) {
+    models[model] = Object.keys(years);
+    for (const yearData of Object.values(years)) {
+      for (const [slug, entry] of Object.entries(yearData)) {
+        repairs[slug] = repairs[slug] || { title: entry.title || slug, entries: 0 };
+        repairs[slug].entries++;
+      }
+    }
+  }
+
+  return { models, repairs };
+}
+
+/**
+ * Write a validated make's snapshot and build its index entry
+ * @returns {Promise<object>} Index entry
+ */
+async function writeSnapshot(make, report, data) {
+  const stat = await fsp.stat(path.join(rootDir, 'data', `${make}.json`));
+  await writeFileAtomic(
+    path.join(cacheDir, `${make}.json`),
+    JSON.stringify({ make, generatedAt: report.generatedAt, data })
+  );
+
+  // Older generations stay queryable through pricingHistory.js
+  await recordGeneration(make, report.generatedAt, data);
+
+  return {
+    source: { size: stat.size, mtimeMs: stat.mtimeMs },
+    generatedAt: report.generatedAt,
+    report,
+    ...describeMakeData(data)
+  };
+}
+
+// Model/year skeleton of every indexed make (enough for coverage checks)
+function coverageView() {
+  const view = {};
+  for (const [make, entry] of Object.entries(index.makes)) {
+    view[make] = {};
+    for (const [model, years] of Object.entries(entry.models)) {
+      view[make][model] = Object.fromEntries(years.map(year => [year, true]));
+    }
+  }
+  return view;
+}
+
+function cacheMake(make, data) {
+  makeCache.delete(make);
+  makeCache.set(make, data);
+  while (makeCache.size > CACHE_CAPACITY) {
+    makeCache.delete(makeCache.keys().next().value);
+    cacheStats.evictions++;
+  }
+}
+
+/**
+ * Index and validate all pricing data (reuses snapshots of unchanged files)
+ * @param {string} dir - Directory holding production_years.json and /data
+ * @param {object} options - { mode: 'strict' | 'lenient', cacheDir: string }
+ * @returns {Promise<object>} Validation report
+ */
+export async function loadPricingData(dir, options = {}) {
+  rootDir = dir;
+  mode = options.mode || 'lenient';
+  cacheDir = options.cacheDir || process.env.DATA_CACHE_DIR || path.join(rootDir, '.data-cache');
+  await fsp.mkdir(cacheDir, { recursive: true });
+
+  const report = createValidationReport(mode);
+
+  const years = await readProductionYears(rootDir);
+  report.productionYears = { errors: years.errors, warnings: years.warnings };
+  productionYears = years.errors.length > 0 && mode === 'lenient' ? usableProductionYears(years.productionYears) : (years.productionYears || {});
+
+  const previous = await readIndex();
+  const files = (await fsp.readdir(path.join(rootDir, 'data'))).filter(f => f.endsWith('.json')).sort();
+  const makes = {};
+
+  for (const file of files) {
+    const make = file.replace('.json', '');
+    const cached = previous.makes[make];
+    const stat = await fsp.stat(path.join(rootDir, 'data', file));
+    const unchanged = cached &&
+      cached.source.size === stat.size &&
+      cached.source.mtimeMs === stat.mtimeMs &&
+      fs.existsSync(path.join(cacheDir, file));
+
+    if (unchanged) {
+      makes[make] = cached;
+      report.makes[make] = cached.report;
+      // History store started after this snapshot was built
+      if (!hasGeneration(make, cached.generatedAt)) {
+        const snapshot = JSON.parse(await fsp.readFile(path.join(cacheDir, file), 'utf-8'));
+        await recordGeneration(make, cached.generatedAt, snapshot.data);
+      }
+      continue;
+    }
+
+    const { report: makeReport, data } = await readMakeFile(path.join(rootDir, 'data'), make, { mode });
+    report.makes[make] = makeReport;
+    if (data) makes[make] = await writeSnapshot(make, makeReport, data);
+  }
+
+  index = { format: INDEX_FORMAT, mode, makes };
+  await persistIndex();
+
+  makeCache.clear();
+  dataReport = summarizeReport(report, productionYears, coverageView());
+  loadedAt = new Date().toISOString();
+  ready = true;
+
+  return dataReport;
+}
+
+/**
+ * Whether startup indexing has finished
+ * @returns {boolean}
+ */
+export function isDataReady() {
+  return ready;
+}
+
+/**
+ * Load one make's pricing (from the LRU cache or its snapshot)
+ * @param {string} make - Normalized make
+ * @returns {Promise<object|null>} model → year → repair, or null if the make has no data
+ */
+export async function loadMake(make) {
+  if (makeCache.has(make)) {
+    cacheStats.hits++;
+    const data = makeCache.get(make);
+    cacheMake(make, data);
+    return data;
+  }
+  if (!index.makes[make]) {
+    return null;
+  }
+  if (pendingLoads.has(make)) {
+    return pendingLoads.get(make);
+  }
+
+  cacheStats.misses++;
+  const generation = generations[make] || 0;
+  const load = fsp.readFile(path.join(cacheDir, `${make}.json`), 'utf-8')
+    .then(contents => {
+      const { data } = JSON.parse(contents);
+      // A reload finished while this was reading - don't cache the old version
+      if ((generations[make] || 0) === generation) cacheMake(make, data);
+      return data;
+    })
+    .finally(() => pendingLoads.delete(make));
+
+  pendingLoads.set(make, load);
+  return load;
+}
+
+/**
+ * Load the pricing a vehicle lookup needs: its make, plus sibling makes when fallback is on
+ * @param {string} make - Normalized make
+ * @param {string} model - Normalized model
+ * @param {object} options - { fallback: boolean }
+ * @returns {Promise<object>} Pricing keyed by make/model/year/repair (only the loaded makes)
+ */
+export async function loadVehicleData(make, model, { fallback = false } = {}) {
+  const makes = new Set([make]);
+  if (fallback) {
+    getSiblingModels(make, model).forEach(sibling => makes.add(sibling.make));
+  }
+
+  const vehicleData = {};
+  for (const name of makes) {
+    const data = await loadMake(name);
+    if (data) vehicleData[name] = data;
+  }
+  return vehicleData;
+}
+
+/**
+ * Get the active production_years.json contents
+ * @returns {object}
+ */
+export function getProductionYears() {
+  return productionYears;
+}
+
+/**
+ * Every priced repair slug across all makes, from the index (no make files are loaded)
+ * @returns {object} { slug: { title, makes: string[], entries } }
+ */
+export function getRepairSummary() {
+  const summary = {};
+  for (const [make, entry] of Object.entries(index.makes)) {
+    for (const [slug, repair] of Object.entries(entry.repairs)) {
+      summary[slug] = summary[slug] || { title: repair.title, makes: [], entries: 0 };
+      summary[slug].makes.push(make);
+      summary[slug].entries += repair.entries;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Get the latest validation report (null until loaded)
+ * @returns {object|null}
+ */
+export function getDataReport() {
+  return dataReport;
+}
+
+/**
+ * Describe the active data version: each make's generatedAt plus the newest one
+ * @returns {object} { version, ready, makes, loadedAt, lastReload, cache }
+ */
+export function getDataVersion() {
+  const makes = {};
+  for (const [make, entry] of Object.entries(index.makes)) {
+    makes[make] = entry.generatedAt;
+  }
+  const stamps = Object.values(makes).filter(Boolean).sort();
+
+  return {
+    version: stamps[stamps.length - 1] || null,
+    ready,
+    makes,
+    loadedAt,
+    lastReload,
+    cache: {
+      capacity: CACHE_CAPACITY,
+      loaded: [...makeCache.keys()],
+      ...cacheStats
+    }
+  };
+}
+
+/**
+ * Register a callback for successful reloads (e.g. to rebuild derived indexes)
+ * @param {Function} listener - Called with { file, make } after the swap
+ */
+export function onPricingDataReload(listener) {
+  reloadListeners.push(listener);
+}
+
+function recordReload(file, ok, detail) {
+  lastReload = { file, ok, at: new Date().toISOString(), ...detail };
+  return lastReload;
+}
+
+/**
+ * Re-validate one data/<make>.json and swap in its new snapshot if it passes
+ * @param {string} make - Make name (file name without .json)
+ * @returns {Promise<object>} { file, ok, at, errors?, error? }
+ */
+export async function reloadMake(make) {
+  const file = `data/${make}.json`;
+  const { report, data } = await readMakeFile(path.join(rootDir, 'data'), make, { mode });
+
+  // A previously good make keeps its old snapshot on any error; a brand-new
+  // make follows the startup rule (lenient quarantines bad entries)
+  const hasPrevious = Boolean(index.makes[make]);
+  if (!data || (report.errorCount > 0 && (hasPrevious || mode === 'strict'))) {
+    return recordReload(file, false, {
+      error: hasPrevious ? 'Validation failed - previous version still active' : 'Validation failed - make not loaded',
+      errors: report.errors.slice(0, 10)
+    });
+  }
+
+  const entry = await writeSnapshot(make, report, data);
+  generations[make] = (generations[make] || 0) + 1;
+  index = { ...index, makes: { ...index.makes, [make]: entry } };
+  await persistIndex();
+
+  if (makeCache.has(make)) cacheMake(make, data);
+  dataReport.makes[make] = report;
+  summarizeReport(dataReport, productionYears, coverageView());
+
+  reloadListeners.forEach(listener => listener({ file, make }));
+  return recordReload(file, true, { generatedAt: report.generatedAt, repairs: report.repairs });
+}
+
+/**
+ * Re-read production_years.json and swap it in if it validates
+ * @returns {Promise<object>} { file, ok, at, errors?, error? }
+ */
+export async function reloadProductionYears() {
+  const file = 'production_years.json';
+  const result = await readProductionYears(rootDir);
+
+  if (!result.productionYears || result.errors.length > 0) {
+    return recordReload(file, false, {
+      error: 'Validation failed - previous version still active',
+      errors: result.errors.slice(0, 10)
+    });
+  }
+
+  productionYears = result.productionYears;
+  dataReport.productionYears = { errors: [], warnings: result.warnings };
+  summarizeReport(dataReport, productionYears, coverageView());
+
+  reloadListeners.forEach(listener => listener({ file, make: null }));
+  return recordReload(file, true, { makes: Object.keys(productionYears).length });
+}
+
+/**
+ * Watch /data and production_years.json for changes
+ * @param {Function} onResult - Called with each reload result (for logging)
+ * @returns {Function} Stops watching
+ */
+export function watchPricingData(onResult = () => {}) {
+  const timers = new Map();
+
+  const schedule = (key, reload) => {
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => {
+      timers.delete(key);
+      reload()
+        .then(onResult)
+        .catch(error => onResult(recordReload(key, false, { error: error.message })));
+    }, RELOAD_DEBOUNCE_MS));
+  };
+
+  // Watch directories rather than files so replace-by-rename writes are seen
+  const dataWatcher = fs.watch(path.join(rootDir, 'data'), (eventType, filename) => {
+    if (!filename || !filename.endsWith('.json')) return;
+    const make = filename.replace('.json', '');
+    schedule(`data/${filename}`, () => reloadMake(make));
+  });
+
+  const rootWatcher = fs.watch(rootDir, (eventType, filename) => {
+    if (filename !== 'production_years.json') return;
+    schedule(filename, reloadProductionYears);
+  });
+
+  return () => {
+    dataWatcher.close();
+    rootWatcher.close();
+    timers.forEach(timer => clearTimeout(timer));
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * PRICING HISTORY MODULE
+ * Keeps every generation of data/<make>.json pricing (keyed by the file's
+ * generatedAt) so price changes can be traced over time
+ *
+ * Storage (STORE_DIR/history):
+ *   index.json   - { [make]: [generatedAt, ...] } recorded generations
+ *   <make>.json  - { make, generations: [generatedAt, ...],
+ *                    entries: { "model/year/repair": [{ g, parts, labor } | { g, removed }] } }
+ *
+ * Only changes are stored: an entry gets a new record when its parts or
+ * labor range differs from the previous generation (or it disappears).
+ * A file regenerated without a new generatedAt is not recorded again.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { STORE_DIR } from './orderStore.js';
+
+const HISTORY_DIR = path.join(STORE_DIR, 'history');
+const INDEX_FILE = path.join(HISTORY_DIR, 'index.json');
+
+let recorded = {};   // make → [generatedAt]
+let writeChain = Promise.resolve();
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return fallback;
+  }
+}
+
+async function writeJson(file, value) {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify(value), 'utf-8');
+  await fs.rename(tmpFile, file);
+}
+
+function makeFile(make) {
+  // Make names come from data/ file names; anything else would escape HISTORY_DIR
+  if (!make || path.basename(make) !== make || make.startsWith('.')) {
+    throw new Error(`Invalid make name "${make}"`);
+  }
+  return path.join(HISTORY_DIR, `${make}.json`);
+}
+
+const sameRange = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Load the history index
+ * @returns {Promise<object>} getHistoryStats()
+ */
+export async function initPricingHistory() {
+  await fs.mkdir(HISTORY_DIR, { recursive: true });
+  recorded = await readJson(INDEX_FILE, {});
+  return getHistoryStats();
+}
+
+/**
+ * Count recorded makes and generations
+ * @returns {object} { makes: number, generations: number }
+ */
+export function getHistoryStats() {
+  return {
+    makes: Object.keys(recorded).length,
+    generations: Object.values(recorded).reduce((total, list) => total + list.length, 0)
+  };
+}
+
+/**
+ * Whether a make's generation is already in the history
+ * @param {string} make - Make name
+ * @param {string} generatedAt - The file's generatedAt
+ * @returns {boolean}
+ */
+export function hasGeneration(make, generatedAt) {
+  return Boolean(generatedAt) && (recorded[make] || []).includes(generatedAt);
+}
+
+/**
+ * Add a generation of a make's pricing to its history (no-op if already recorded)
+ * @param {string} make - Make name
+ * @param {string} generatedAt - The file's generatedAt (generations without one are skipped)
+ * @param {object} data - Validated pricing (model → year → repair)
+ * @returns {Promise<object>} { recorded: boolean, changes: number }
+ */
+export function recordGeneration(make, generatedAt, data) {
+  const task = writeChain.then(async () => {
+    if (!generatedAt || hasGeneration(make, generatedAt)) {
+      return { recorded: false, changes: 0 };
+    }
+
+    const history = await readJson(makeFile(make), { make, generations: [], entries: {} });
+    const g = history.generations.length;
+    history.generations.push(generatedAt);
+
+    let changes = 0;
+    const seen = new Set();
+    for (const [model, years] of Object.entries(data)) {
+      for (const [year, repairs] of Object.entries(years)) {
+        for (const [slug, entry] of Object.entries(repairs)) {
+          if (!entry.parts || !entry.labor) continue;
+
+          const key = `${model}/${year}/${slug}`;
+          const parts = [entry.parts.low, entry.parts.high];
+          const labor = [entry.labor.low, entry.labor.high];
+          const records = history.entries[key] || (history.entries[key] = []);
+          const last = records[records.length - 1];
+          seen.add(key);
+
+          if (!last || last.removed || !sameRange(last.parts, parts) || !sameRange(last.labor, labor)) {
+            records.push({ g, parts, labor });
+            changes++;
+          }
+        }
+      }
+    }
+    for (const [key, records] of Object.entries(history.entries)) {
+      if (!seen.has(key) && !records[records.length - 1].removed) {
+        records.push({ g, removed: true });
+        changes++;
+      }
+    }
+
+    await writeJson(makeFile(make), history);
+    recorded = { ...recorded, [make]: [...(recorded[make] || []), generatedAt] };
+    await writeJson(INDEX_FILE, recorded);
+
+    return { recorded: true, changes };
+  });
+
+  // Keep the chain alive after a failed write
+  writeChain = task.catch(() => {});
+  return task;
+}
+
+const percentChange = (from, to) => (from ? Math.round(((to - from) / from) * 1000) / 10 : null);
+
+/**
+ * Price history of one repair on one vehicle, oldest first
+ * @param {object} params - { year, make, model, repairSlug } (normalized)
+ * @returns {Promise<object|null>} { generations, history: [...] } or null if nothing was recorded
+ */
+export async function getRepairHistory({ year, make, model, repairSlug }) {
+  // Only makes in the index have a history file
+  if (!Object.hasOwn(recorded, make)) return null;
+
+  const history = await readJson(makeFile(make), null);
+  const records = history?.entries[`${model}/${year}/${repairSlug}`];
+  if (!records) return null;
+
+  let previous = null;
+  const timeline = records.map(record => {
+    const generatedAt = history.generations[record.g];
+    if (record.removed) {
+      previous = null;
+      return { generatedAt, removed: true };
+    }
+
+    const [partsLow, partsHigh] = record.parts;
+    const [laborLow, laborHigh] = record.labor;
+    const point = {
+      generatedAt,
+      parts: { low: partsLow, high: partsHigh },
+      labor: { low: laborLow, high: laborHigh },
+      total: { low: partsLow + laborLow, high: partsHigh + laborHigh },
+      change: previous ? {
+        partsPercent: percentChange(previous.parts.high, partsHigh),
+        laborPercent: percentChange(previous.labor.high, laborHigh),
+        totalPercent: percentChange(previous.total.high, partsHigh + laborHigh)
+      } : null
+    };
+    previous = point;
+    return point;
+  });
+
+  return {
+    generations: history.generations.length,
+    firstSeen: timeline[0].generatedAt,
+    history: timeline
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * PRICING OVERRIDES MODULE
+ * Admin-managed pricing corrections, kept apart from the generated data/*.json
+ *
+ * Override types:
+ *   repair      - replace parts and/or labor for one make/model/year/repair
+ *   adjustment  - percent change across a make and/or repair category
+ *   labor-rate  - replace a state or metro (CBSA) labor rate
+ *
+ * Repair and adjustment overrides are applied by computeQuote() (see
+ * applyPricingOverrides); labor rate overrides are layered onto the rate
+ * tables (laborRateTables.js). A repair override is final - adjustments are
+ * not applied on top of it. Labor overrides are in dollars at the national
+ * average rate; book hours are re-derived from them (or scaled with them).
+ *
+ * Storage (STORE_DIR):
+ *   overrides.json - { overrides: [...] }
+ *   audit.log      - one JSON line per change: { at, actor, action, override }
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { STORE_DIR } from './orderStore.js';
+import { REPAIR_CATEGORIES } from './repairCatalog.js';
+import { getRateTables, setRateOverrides } from './laborRateTables.js';
+
+const OVERRIDES_FILE = path.join(STORE_DIR, 'overrides.json');
+const AUDIT_FILE = path.join(STORE_DIR, 'audit.log');
+
+export const OVERRIDE_TYPES = ['repair', 'adjustment', 'labor-rate'];
+const ADJUSTMENT_TARGETS = ['parts', 'labor', 'both'];
+
+// Sanity bounds for percent adjustments
+const MIN_PERCENT = -90;
+const MAX_PERCENT = 500;
+
+let overrides = [];
+let writeChain = Promise.resolve();
+
+const norm = (value) => String(value || '').toLowerCase().trim();
+
+/**
+ * Load overrides from disk and apply labor rate overrides
+ * @returns {Promise<object>} { overrides: number }
+ */
+export async function initOverrideStore() {
+  await fs.mkdir(STORE_DIR, { recursive: true });
+
+  try {
+    const parsed = JSON.parse(await fs.readFile(OVERRIDES_FILE, 'utf-8'));
+    overrides = parsed.overrides || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    overrides = [];
+  }
+
+  syncRateOverrides();
+  return { overrides: overrides.length };
+}
+
+/**
+ * Apply a change to the overrides: written and audited first, then made live
+ * Changes run one at a time, each against the overrides the previous one left.
+ * @param {Function} change - (current overrides) → { next, auditEntry, result }, or { result } for no change
+ * @returns {Promise<*>} The change's result
+ */
+function commit(change) {
+  const task = writeChain.then(async () => {
+    const { next, auditEntry, result } = change(overrides);
+    if (!next) return result;
+
+    // Audit before the rename: a change is never live on disk without its audit entry
+    const tmpFile = `${OVERRIDES_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ overrides: next }, null, 2), 'utf-8');
+    await fs.appendFile(AUDIT_FILE, JSON.stringify(auditEntry) + '\n', 'utf-8');
+    await fs.rename(tmpFile, OVERRIDES_FILE);
+
+    overrides = next;
+    syncRateOverrides();
+    return result;
+  });
+  // Keep the chain alive after a failed write
+  writeChain = task.catch(() => {});
+  return task;
+}
+
+function syncRateOverrides() {
+  const states = {};
+  const metros = {};
+  for (const override of overrides) {
+    if (override.type !== 'labor-rate') continue;
+    if (override.state) states[override.state] = override.rate;
+    if (override.metro) metros[override.metro] = override.rate;
+  }
+  setRateOverrides({ states, metros });
+}
+
+function checkRange(range, field) {
+  if (range === undefined) return null;
+  if (!range || typeof range.low !== 'number' || typeof range.high !== 'number' ||
+      !Number.isFinite(range.low) || !Number.isFinite(range.high)) {
+    return `${field} must be { low, high } numbers`;
+  }
+  if (range.low < 0 || range.low > range.high) {
+    return `${field} must satisfy 0 <= low <= high`;
+  }
+  return null;
+}
+
+/**
+ * Validate and normalize an override request
+ * @param {object} input - Request body
+ * @returns {object} { override } or { error }
+ */
+function normalizeOverride(input) {
+  const type = norm(input?.type);
+  const note = input.note ? String(input.note).slice(0, 500) : null;
+
+  if (type === 'repair') {
+    const override = {
+      type,
+      make: norm(input.make),
+      model: norm(input.model),
+      year: String(input.year || '').trim(),
+      repair: norm(input.repair),
+      parts: input.parts,
+      labor: input.labor,
+      note
+    };
+    if (!override.make || !override.model || !/^\d{4}$/.test(override.year) || !override.repair) {
+      return { error: 'repair overrides need make, model, year and repair' };
+    }
+    if (!override.parts && !override.labor) {
+      return { error: 'repair overrides need parts and/or labor' };
+    }
+    const rangeError = checkRange(override.parts, 'parts') || checkRange(override.labor, 'labor');
+    if (rangeError) return { error: rangeError };
+    return { override };
+  }
+
+  if (type === 'adjustment') {
+    const category = input.category ? REPAIR_CATEGORIES.find(name => norm(name) === norm(input.category)) : null;
+    const override = {
+      type,
+      make: input.make ? norm(input.make) : null,
+      category,
+      percent: input.percent,
+      target: norm(input.target) || 'both',
+      note
+    };
+    if (input.category && !category) {
+      return { error: `Unknown category (expected one of: ${REPAIR_CATEGORIES.join(', ')})` };
+    }
+    if (!override.make && !override.category) {
+      return { error: 'adjustments need a make and/or category' };
+    }
+    if (typeof override.percent !== 'number' || override.percent < MIN_PERCENT || override.percent > MAX_PERCENT) {
+      return { error: `percent must be a number between ${MIN_PERCENT} and ${MAX_PERCENT}` };
+    }
+    if (!ADJUSTMENT_TARGETS.includes(override.target)) {
+      return { error: `target must be one of: ${ADJUSTMENT_TARGETS.join(', ')}` };
+    }
+    return { override };
+  }
+
+  if (type === 'labor-rate') {
+    const state = input.state ? String(input.state).toUpperCase().trim() : null;
+    const metro = input.metro ? String(input.metro).trim() : null;
+    const override = { type, state, metro, rate: input.rate, note };
+
+    if (Boolean(state) === Boolean(metro)) {
+      return { error: 'labor-rate overrides need exactly one of state or metro' };
+    }
+    if (state && !getRateTables().stateToRegion[state]) {
+      return { error: `Unknown state ${state} (expected a 2-letter US state code)` };
+    }
+    if (metro && !getRateTables().metros[metro]) {
+      return { error: `Unknown metro CBSA code ${metro}` };
+    }
+    if (typeof override.rate !== 'number' || !(override.rate > 0)) {
+      return { error: 'rate must be a positive number' };
+    }
+    return { override };
+  }
+
+  return { error: `type must be one of: ${OVERRIDE_TYPES.join(', ')}` };
+}
+
+// What makes two overrides compete for the same thing
+function overrideKey(override) {
+  switch (override.type) {
+    case 'repair': return `repair:${override.make}/${override.model}/${override.year}/${override.repair}`;
+    case 'adjustment': return `adjustment:${override.make || '*'}/${override.category || '*'}/${override.target}`;
+    default: return `labor-rate:${override.state ? `state:${override.state}` : `metro:${override.metro}`}`;
+  }
+}
+
+/**
+ * List overrides
+ * @param {object} filters - { type }
+ * @returns {Array<object>}
+ */
+export function listOverrides({ type = null } = {}) {
+  return type ? overrides.filter(override => override.type === type) : [...overrides];
+}
+
+/**
+ * Create an override
+ * @param {object} input - Override fields (see normalizeOverride)
+ * @param {string} actor - Who made the change (for the audit log)
+ * @returns {Promise<object>} { override } or { error, conflict? }
+ */
+export async function createOverride(input, actor) {
+  const { override, error } = normalizeOverride(input || {});
+  if (error) return { error };
+
+  return commit((current) => {
+    const existing = current.find(item => overrideKey(item) === overrideKey(override));
+    if (existing) {
+      return { result: { error: `An override for this already exists (${existing.id}) - delete it first`, conflict: existing.id } };
+    }
+
+    const created = {
+      id: `ovr_${crypto.randomBytes(6).toString('hex')}`,
+      ...override,
+      createdBy: actor,
+      createdAt: new Date().toISOString()
+    };
+
+    return {
+      next: [...current, created],
+      auditEntry: { at: created.createdAt, actor, action: 'create', override: created },
+      result: { override: created }
+    };
+  });
+}
+
+/**
+ * Delete an override
+ * @param {string} id - Override ID (ovr_...)
+ * @param {string} actor - Who made the change (for the audit log)
+ * @returns {Promise<object|null>} The deleted override, or null if unknown
+ */
+export async function deleteOverride(id, actor) {
+  return commit((current) => {
+    const existing = current.find(override => override.id === id);
+    if (!existing) return { result: null };
+
+    return {
+      next: current.filter(override => override.id !== id),
+      auditEntry: { at: new Date().toISOString(), actor, action: 'delete', override: existing },
+      result: existing
+    };
+  });
+}
+
+/**
+ * Read recent audit log entries, newest first
+ * @param {number} limit - Max entries
+ * @returns {Promise<Array<object>>}
+ */
+export async function readAuditLog(limit = 100) {
+  try {
+    const lines = (await fs.readFile(AUDIT_FILE, 'utf-8')).split('\n').filter(Boolean);
+    return lines.slice(-limit).reverse().map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Apply repair overrides and percent adjustments to one repair entry
+ * @param {object} repairData - Repair entry from the pricing data
+ * @param {object} context - { year, make, model, repairSlug, category } of the data used
+ * @returns {object} { repairData, applied: Array<{ id, type }> } - repairData is a copy when changed
+ */
+export function applyPricingOverrides(repairData, { year, make, model, repairSlug, category }) {
+  // Legacy PartsLow/LaborLow entries are left alone
+  if (!repairData.parts || !repairData.labor) {
+    return { repairData, applied: [] };
+  }
+
+  const exact = overrides.find(override =>
+    override.type === 'repair' &&
+    override.make === make && override.model === model &&
+    override.year === String(year) && override.repair === repairSlug
+  );
+
+  if (exact) {
+    return {
+      repairData: {
+        ...repairData,
+        parts: exact.parts || repairData.parts,
+        // Dollar labor without hours, so hours are derived from the override
+        labor: exact.labor ? { low: exact.labor.low, high: exact.labor.high } : repairData.labor
+      },
+      applied: [{ id: exact.id, type: exact.type }]
+    };
+  }
+
+  const adjustments = overrides.filter(override =>
+    override.type === 'adjustment' &&
+    (!override.make || override.make === make) &&
+    (!override.category || override.category === category)
+  );
+  if (adjustments.length === 0) {
+    return { repairData, applied: [] };
+  }
+
+  let { parts, labor } = repairData;
+  const scale = (range, percent, precision = 1) => ({
+    low: Math.round(range.low * (1 + percent / 100) * precision) / precision,
+    high: Math.round(range.high * (1 + percent / 100) * precision) / precision
+  });
+
+  for (const adjustment of adjustments) {
+    if (adjustment.target !== 'labor') parts = scale(parts, adjustment.percent);
+    if (adjustment.target !== 'parts') {
+      labor = {
+        ...scale(labor, adjustment.percent),
+        ...(labor.hours && { hours: scale(labor.hours, adjustment.percent, 100) })
+      };
+    }
+  }
+
+  return {
+    repairData: { ...repairData, parts, labor },
+    applied: adjustments.map(adjustment => ({ id: adjustment.id, type: adjustment.type, percent: adjustment.percent }))
+  };
+}
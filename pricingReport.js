@@ -0,0 +1,197 @@
+/**
+ * PRICING REPORT MODULE
+ * Branded PDF report for a paid checkout session
+ *
+ * Built from the order's signed quote snapshot (see createQuoteSnapshot):
+ * vehicle, each repair with its description, parts and labor ranges, the
+ * regional labor adjustment, the report date and a report ID. Orders
+ * recovered from Stripe metadata alone (no snapshot) get the totals only.
+ */
+
+import crypto from 'crypto';
+import { createPdfDocument, wrapText, PAGE_WIDTH, PAGE_HEIGHT } from './pdfWriter.js';
+import { describeRepair } from './repairCatalog.js';
+
+const BRAND = '#1f4e79';
+const MUTED = '#5f6b76';
+const RULE = '#c9d1d9';
+
+const MARGIN = 54;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_TOP = PAGE_HEIGHT - 60;
+
+const money = (value) => (typeof value === 'number' ? `$${value.toLocaleString('en-US')}` : 'n/a');
+const range = (value) => (value ? `${money(value.low)} - ${money(value.high)}` : 'n/a');
+
+/**
+ * Stable report ID for a checkout session
+ * @param {string} sessionId - Stripe Checkout Session ID
+ * @returns {string} e.g. FRA-3F9A1C2B7D
+ */
+export function getReportId(sessionId) {
+  return `FRA-${crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 10).toUpperCase()}`;
+}
+
+/**
+ * Plain-English explanation of the labor rate behind the report
+ * Says where the rate came from (the shop's posted rate, or the local rate
+ * scaled by the shop type) rather than assuming the regional multiplier.
+ * @param {object} quote - Quote snapshot ({ location, regionalAdjustment, breakdown, shopTier })
+ * @returns {string|null}
+ */
+export function explainRegionalAdjustment(quote) {
+  const adjustment = quote.regionalAdjustment;
+  if (!adjustment) return null;
+
+  const source = quote.location?.source ? ` (${quote.location.source})` : '';
+  const where = quote.location?.zip ? `ZIP ${quote.location.zip}` : 'your area';
+  const percent = Math.round((adjustment.multiplier - 1) * 100);
+  const comparison = percent === 0 ? 'in line with'
+    : `${Math.abs(percent)}% ${percent > 0 ? 'above' : 'below'}`;
+  const local = `The local labor rate in ${where} is $${adjustment.laborRate}/hr${source}, ${comparison} the national average ` +
+    `of $${adjustment.nationalAverage}/hr.`;
+
+  const labor = quote.breakdown?.labor || {};
+  const tierFactor = quote.shopTier?.multipliers?.labor ?? 1;
+  const rate = labor.rate ?? Math.round(adjustment.laborRate * tierFactor * 100) / 100;
+
+  let used;
+  if (labor.rateSource === 'shop') {
+    used = `Labor in this report is priced at the shop's posted rate of $${rate}/hr instead.`;
+  } else if (tierFactor !== 1) {
+    used = `Labor in this report is priced at $${rate}/hr: the local rate x${tierFactor} for a ${quote.shopTier.shopType} shop.`;
+  } else {
+    used = `Labor in this report is priced at that rate.`;
+  }
+
+  return `${local} ${used}`;
+}
+
+/**
+ * Render the PDF report for a paid order
+ * @param {object} order - Order record (vehicle, repairs, zip, quote, paidAt, sessionId)
+ * @param {object} options - { verified: boolean (quote signature checked), now: Date }
+ * @returns {object} { reportId, buffer }
+ */
+export function buildPricingReport(order, { verified = false, now = new Date() } = {}) {
+  const reportId = getReportId(order.sessionId);
+  const quote = order.quote || {};
+  const vehicle = order.vehicle || {};
+  const vehicleName = `${vehicle.year || ''} ${String(vehicle.make || '').toUpperCase()} ${String(vehicle.model || '').toUpperCase()}`.trim();
+
+  const doc = createPdfDocument({ title: `Fair Repair Auto Pricing Report ${reportId}`, author: 'Fair Repair Auto' });
+  let y = 0;
+
+  function header() {
+    doc.rect(0, 0, PAGE_WIDTH, 78, { fill: BRAND });
+    doc.text(MARGIN, 40, 'Fair Repair Auto', { font: 'bold', size: 22, color: '#ffffff' });
+    doc.text(MARGIN, 60, 'Repair Pricing Report', { size: 11, color: '#dbe7f3' });
+    doc.text(PAGE_WIDTH - MARGIN, 40, reportId, { font: 'bold', size: 11, color: '#ffffff', align: 'right' });
+    doc.text(PAGE_WIDTH - MARGIN, 60, now.toISOString().slice(0, 10), { size: 11, color: '#dbe7f3', align: 'right' });
+    y = 110;
+  }
+
+  function footer() {
+    doc.line(MARGIN, FOOTER_TOP, PAGE_WIDTH - MARGIN, FOOTER_TOP, { color: RULE });
+    doc.text(MARGIN, FOOTER_TOP + 16, 'Estimates reflect typical regional pricing; actual shop quotes vary with vehicle condition and parts choice.', { size: 8, color: MUTED });
+    doc.text(MARGIN, FOOTER_TOP + 28, `${verified ? 'Pricing verified against the signed quote.' : 'Pricing recovered from payment records.'} Report ${reportId}.`, { size: 8, color: MUTED });
+  }
+
+  // Start a new page when the next block would run into the footer
+  function ensureSpace(height) {
+    if (y + height > FOOTER_TOP - 10) {
+      footer();
+      doc.addPage();
+      header();
+    }
+  }
+
+  function sectionTitle(title) {
+    ensureSpace(40);
+    doc.text(MARGIN, y, title, { font: 'bold', size: 13, color: BRAND });
+    doc.line(MARGIN, y + 6, PAGE_WIDTH - MARGIN, y + 6, { color: RULE });
+    y += 24;
+  }
+
+  function row(label, value, { bold = false } = {}) {
+    ensureSpace(16);
+    doc.text(MARGIN, y, label, { size: 10, color: MUTED });
+    doc.text(PAGE_WIDTH - MARGIN, y, value, { size: 10, font: bold ? 'bold' : 'regular', align: 'right' });
+    y += 16;
+  }
+
+  function paragraph(text, { size = 10, color = '#000000', indent = 0 } = {}) {
+    for (const lineText of wrapText(text, CONTENT_WIDTH - indent, size)) {
+      ensureSpace(size + 4);
+      doc.text(MARGIN + indent, y, lineText, { size, color });
+      y += size + 4;
+    }
+  }
+
+  header();
+
+  sectionTitle('Vehicle');
+  row('Vehicle', vehicleName, { bold: true });
+  row('ZIP code', String(order.zip || quote.location?.zip || 'n/a'));
+  row('Report ID', reportId);
+  row('Report date', now.toISOString().slice(0, 10));
+  if (order.paidAt) row('Paid', order.paidAt.slice(0, 10));
+  y += 8;
+
+  // One block per repair; metadata-only orders fall back to the totals
+  const lines = Array.isArray(quote.lines) && quote.lines.length > 0
+    ? quote.lines
+    : (order.repairs || [order.repair]).filter(Boolean).slice(0, 1).map(repairSlug => ({
+      repairSlug, price: quote.price, breakdown: quote.breakdown
+    }));
+
+  sectionTitle(lines.length > 1 ? `Repairs (${lines.length})` : 'Repair');
+  for (const line of lines) {
+    const info = describeRepair(line.repairSlug, line.repairTitle);
+    ensureSpace(90);
+    doc.text(MARGIN, y, info.title, { font: 'bold', size: 12 });
+    doc.text(PAGE_WIDTH - MARGIN, y, info.category, { size: 9, color: MUTED, align: 'right' });
+    y += 16;
+    if (info.description) {
+      paragraph(info.description, { size: 9.5, color: MUTED });
+      y += 4;
+    }
+    row('Parts', range(line.breakdown?.parts));
+    const hours = line.breakdown?.labor?.hours;
+    row(hours ? `Labor (${hours.low}-${hours.high} hrs)` : 'Labor', range(line.breakdown?.labor));
+    row('Estimated total', range(line.price), { bold: true });
+    y += 10;
+  }
+
+  if (lines.length > 1 || quote.laborDiscounts?.length > 0) {
+    sectionTitle('Estimate total');
+    row('Parts', range(quote.breakdown?.parts));
+    row('Labor', range(quote.breakdown?.labor));
+    for (const discount of quote.laborDiscounts || []) {
+      paragraph(`Includes ${discount.explanation}`, { size: 9, color: MUTED });
+    }
+    row('Estimated total', range(quote.price), { bold: true });
+    y += 10;
+  }
+
+  const explanation = explainRegionalAdjustment(quote);
+  sectionTitle('Regional adjustment');
+  if (explanation) {
+    row('Local labor rate', `$${quote.regionalAdjustment.laborRate}/hr`);
+    row('National average', `$${quote.regionalAdjustment.nationalAverage}/hr`);
+    row('Local vs national', `${quote.regionalAdjustment.multiplier}x (${quote.regionalAdjustment.difference})`);
+    if (quote.breakdown?.labor?.rate !== undefined) {
+      row('Labor rate used', `$${quote.breakdown.labor.rate}/hr${quote.breakdown.labor.rateSource === 'shop' ? ' (shop rate)' : ''}`);
+    }
+    row('Rate source', String(quote.location?.source || 'n/a'));
+    y += 4;
+    paragraph(explanation, { size: 9.5 });
+  } else {
+    const rate = quote.breakdown?.labor?.baseRate;
+    paragraph(rate ? `Labor priced at the local rate of $${rate}/hr${quote.location?.source ? ` (${quote.location.source})` : ''}.` : 'Regional details are not available for this report.', { size: 9.5 });
+  }
+
+  footer();
+
+  return { reportId, buffer: doc.toBuffer() };
+}
@@ -0,0 +1,185 @@
+/**
+ * QUOTE COMPARISON MODULE
+ * "Is my mechanic's quote fair?" - checks a shop's quote against our range
+ *
+ * Each component (parts, labor, total) is compared to the same regional
+ * range /api/quote returns:
+ *   below     - under the low end
+ *   fair      - within the range (or up to FAIR_MARGIN above the high end)
+ *   high      - up to HIGH_MARGIN above the high end
+ *   very-high - beyond that
+ *
+ * Quoted labor hours are compared with the repair's book hours.
+ *
+ * Flags call out patterns worth asking the shop about, like a normal labor
+ * charge hiding a large parts markup.
+ */
+
+export const VERDICTS = ['below', 'fair', 'high', 'very-high'];
+
+// How far past the high end a price can go before it stops being "fair"/"high"
+const FAIR_MARGIN = 0.10;
+const HIGH_MARGIN = 0.30;
+
+// Parts (or labor) this far over the high end is a markup worth questioning
+const MARKUP_THRESHOLD = 0.50;
+
+// A total this far under the low end usually means something is missing
+const LOW_BALL_THRESHOLD = 0.30;
+
+const VERDICT_LABELS = {
+  below: 'Below our range',
+  fair: 'Fair',
+  high: 'High',
+  'very-high': 'Very high'
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const amount = (value) => (typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : null);
+
+/**
+ * Compare one quoted amount to a range
+ * @param {number} quoted - Shop's amount
+ * @param {object} range - { low, high }
+ * @returns {object} { quoted, range, verdict, differencePercent, vsMidpointPercent }
+ */
+export function compareToRange(quoted, { low, high }) {
+  const midpoint = (low + high) / 2;
+  let verdict;
+  let differencePercent = 0;
+
+  if (quoted < low) {
+    verdict = 'below';
+    differencePercent = low ? round1(((quoted - low) / low) * 100) : 0;
+  } else if (quoted > high) {
+    differencePercent = high ? round1(((quoted - high) / high) * 100) : 100;
+    verdict = differencePercent <= FAIR_MARGIN * 100 ? 'fair'
+      : differencePercent <= HIGH_MARGIN * 100 ? 'high'
+      : 'very-high';
+  } else {
+    verdict = 'fair';
+  }
+
+  return {
+    quoted,
+    range: { low, high },
+    verdict,
+    label: VERDICT_LABELS[verdict],
+    // Distance past the nearest end of the range (0 inside it)
+    differencePercent,
+    vsMidpointPercent: midpoint ? round1(((quoted - midpoint) / midpoint) * 100) : null
+  };
+}
+
+/**
+ * Work out the shop's labor dollars from what they gave us
+ * @returns {object} { labor, laborHours, laborRate, laborSource } or { error }
+ */
+function resolveShopLabor(shopQuote, baseRate) {
+  const labor = amount(shopQuote.labor);
+  const laborHours = amount(shopQuote.laborHours);
+  const laborRate = amount(shopQuote.laborRate);
+
+  if (labor !== null) {
+    return { labor, laborHours, laborRate, laborSource: 'quoted' };
+  }
+  if (laborHours !== null) {
+    // Hours at the shop's own rate if given, otherwise our local rate
+    const rate = laborRate ?? baseRate;
+    return {
+      labor: Math.round(laborHours * rate),
+      laborHours,
+      laborRate,
+      laborSource: laborRate !== null ? 'hours-x-shop-rate' : 'hours-x-local-rate'
+    };
+  }
+  return { labor: null, laborHours: null, laborRate };
+}
+
+/**
+ * Compare a shop quote with our computed quote
+ * @param {object} quote - computeQuote() result (must be ok)
+ * @param {object} shopQuote - { parts, labor, laborHours, laborRate, total } dollars / hours
+ * @returns {object} { ok, verdict, components, flags, ... } or { ok: false, error }
+ */
+export function compareShopQuote(quote, shopQuote = {}) {
+  const parts = amount(shopQuote.parts);
+  const { labor, laborHours, laborRate, laborSource } = resolveShopLabor(shopQuote, quote.breakdown.labor.baseRate);
+  const quotedTotal = amount(shopQuote.total);
+  const total = quotedTotal ?? (parts !== null && labor !== null ? parts + labor : null);
+
+  if (total === null) {
+    return { ok: false, error: 'Provide the shop total, or parts plus labor (dollars or hours)' };
+  }
+
+  const components = {
+    parts: parts !== null ? compareToRange(parts, quote.breakdown.parts) : null,
+    labor: labor !== null ? { ...compareToRange(labor, quote.breakdown.labor), source: laborSource } : null,
+    laborHours: laborHours !== null ? compareToRange(laborHours, quote.breakdown.labor.hours) : null,
+    total: compareToRange(total, quote.price)
+  };
+
+  const flags = [];
+  const over = (component) => component && component.verdict !== 'below' && component.differencePercent >= MARKUP_THRESHOLD * 100;
+  const normal = (component) => component && ['below', 'fair'].includes(component.verdict);
+
+  if (over(components.parts) && normal(components.labor)) {
+    flags.push({
+      code: 'parts-markup',
+      message: `Parts are ${components.parts.differencePercent}% above our high estimate while labor looks normal - ask for an itemized parts list and part numbers`
+    });
+  }
+  if (over(components.labor) && normal(components.parts)) {
+    flags.push({
+      code: 'labor-padding',
+      message: `Labor is ${components.labor.differencePercent}% above our high estimate while parts look normal - ask how many hours are billed and why`
+    });
+  }
+
+  const bookHours = quote.breakdown.labor.hours;
+  if (laborHours !== null && laborHours > bookHours.high * (1 + MARKUP_THRESHOLD)) {
+    flags.push({
+      code: 'labor-hours-high',
+      message: `${laborHours} labor hours quoted; book time for this job is ${bookHours.low}-${bookHours.high} hours`
+    });
+  }
+  if (laborRate !== null && laborRate > quote.breakdown.labor.baseRate * (1 + MARKUP_THRESHOLD)) {
+    flags.push({
+      code: 'labor-rate-high',
+      message: `Shop rate of $${laborRate}/hr is well above the local average of $${quote.breakdown.labor.baseRate}/hr`
+    });
+  }
+
+  if (quotedTotal !== null && parts !== null && labor !== null) {
+    const unexplained = Math.round(quotedTotal - parts - labor);
+    if (Math.abs(unexplained) > Math.max(5, quotedTotal * 0.02)) {
+      flags.push({
+        code: 'unexplained-difference',
+        amount: unexplained,
+        message: `Total is $${Math.abs(unexplained)} ${unexplained > 0 ? 'more' : 'less'} than parts plus labor - ask what fees, taxes or supplies make up the difference`
+      });
+    }
+  }
+
+  if (total < quote.price.low * (1 - LOW_BALL_THRESHOLD)) {
+    flags.push({
+      code: 'unusually-low',
+      message: 'Well below typical pricing - confirm the quote covers the full repair and the parts quality (OEM vs aftermarket)'
+    });
+  }
+
+  const verdict = components.total.verdict;
+
+  return {
+    ok: true,
+    verdict,
+    label: VERDICT_LABELS[verdict],
+    differencePercent: components.total.differencePercent,
+    components,
+    flags,
+    ourEstimate: {
+      price: quote.price,
+      breakdown: quote.breakdown
+    }
+  };
+}
@@ -0,0 +1,400 @@
+/**
+ * QUOTE ENGINE MODULE
+ * Single source of truth for repair pricing quotes
+ *
+ * Used by /api/quote (free preview) and /api/create-checkout-session (paid report),
+ * so the numbers a customer pays for are always recomputed on the server.
+ *
+ * Labor is priced as book hours x labor rate. Entries with `labor.hours` use
+ * those hours; older entries only have dollars, priced at NATIONAL_AVERAGE, so
+ * their hours are derived as dollars / NATIONAL_AVERAGE.
+ *
+ * Base pricing is an independent shop with aftermarket parts; shop type and
+ * parts grade multipliers (shopTiers.js) are applied last, and every tier is
+ * priced alongside the selected one so the spread can be shown.
+ */
+
+import crypto from 'crypto';
+import { getLaborRate, getLaborMultiplier, NATIONAL_AVERAGE } from './laborRates.js';
+import { applyLaborOverlap } from './laborOverlap.js';
+import { describeRepair } from './repairCatalog.js';
+import { resolvePricingSource } from './vehicleFallback.js';
+import { applyPricingOverrides } from './pricingOverrides.js';
+import { getInflationFactors } from './inflation.js';
+import { resolveShopTier, getTierMultipliers, listShopTiers } from './shopTiers.js';
+
+// Secret for quote snapshot signatures (falls back to the Stripe key so signatures survive restarts).
+// The built-in secret is for local development only - anywhere else it would make signatures forgeable.
+const IS_DEVELOPMENT = (process.env.NODE_ENV || 'development') === 'development';
+const QUOTE_SIGNING_SECRET = process.env.QUOTE_SIGNING_SECRET ||
+                             process.env.STRIPE_SECRET_KEY ||
+                             (IS_DEVELOPMENT ? 'fair-repair-auto-dev-signing-secret' : null);
+
+if (!QUOTE_SIGNING_SECRET) {
+  throw new Error(`Set QUOTE_SIGNING_SECRET (or STRIPE_SECRET_KEY) to sign quotes - NODE_ENV is ${process.env.NODE_ENV}`);
+}
+
+// Sanity bounds for a shop's posted labor rate ($/hr)
+const MAX_SHOP_LABOR_RATE = 1000;
+
+// Upper bound on repairs per estimate (keeps Stripe line items and metadata small)
+export const MAX_ESTIMATE_REPAIRS = 10;
+
+function norm(str) {
+  return String(str || '').toLowerCase().trim();
+}
+
+function normYear(year) {
+  return String(year || '').trim();
+}
+
+/**
+ * Extract parts/labor ranges from a repair entry
+ * Handles nested {parts: {low, high}, labor: {low, high}} and legacy PartsLow/LaborLow formats
+ * @param {object} repairData - Repair entry from data/<make>.json
+ * @returns {object|null} { partsLow, partsHigh, laborLow, laborHigh } or null if unrecognized
+ */
+export function extractPricing(repairData) {
+  if (repairData.parts && repairData.labor) {
+    return {
+      partsLow: repairData.parts.low,
+      partsHigh: repairData.parts.high,
+      laborLow: repairData.labor.low,
+      laborHigh: repairData.labor.high
+    };
+  }
+
+  if (repairData.PartsLow !== undefined) {
+    return {
+      partsLow: repairData.PartsLow,
+      partsHigh: repairData.PartsHigh,
+      laborLow: repairData.LaborLow,
+      laborHigh: repairData.LaborHigh
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Book labor hours for a repair entry
+ * @param {object} repairData - Repair entry (labor.hours, or labor dollars priced at NATIONAL_AVERAGE)
+ * @param {object} pricing - extractPricing() result for the same entry
+ * @returns {object} { low, high, source: 'book' | 'derived' } - unrounded
+ */
+export function getBookHours(repairData, pricing) {
+  const hours = repairData.labor?.hours;
+  if (hours && typeof hours.low === 'number' && typeof hours.high === 'number') {
+    return { low: hours.low, high: hours.high, source: 'book' };
+  }
+
+  return {
+    low: pricing.laborLow / NATIONAL_AVERAGE,
+    high: pricing.laborHigh / NATIONAL_AVERAGE,
+    source: 'derived'
+  };
+}
+
+/**
+ * Compute a regional quote for one repair on one vehicle
+ * @param {object} vehicleData - Loaded pricing data keyed by make/model/year/repair
+ * @param {object} params - { year, make, model, repairSlug, zip, laborRate (shop's posted $/hr, optional),
+ *                           shopType, partsGrade (see rates/shopTiers.json; default tier when omitted) }
+ * @param {object} options - { fallback: boolean (borrow nearby-year/sibling pricing), productionYears: object,
+ *                            inflation: boolean (project to today), dataVersions: { make: generatedAt } }
+ * @returns {object} /api/quote response body ({ ok: false, error } when it can't be priced)
+ */
+export function computeQuote(vehicleData, { year, make, model, repairSlug, zip, laborRate = null, shopType, partsGrade }, { fallback = false, productionYears = {}, inflation = false, dataVersions = {} } = {}) {
+  const resolved = resolvePricingSource(
+    vehicleData,
+    productionYears,
+    { year: normYear(year), make: norm(make), model: norm(model) },
+    { fallback, repairSlug: norm(repairSlug) }
+  );
+  if (resolved.error) {
+    return { ok: false, error: resolved.error };
+  }
+
+  const shopRate = laborRate === null || laborRate === undefined || laborRate === '' ? null : Number(laborRate);
+  if (shopRate !== null && !(shopRate > 0 && shopRate <= MAX_SHOP_LABOR_RATE)) {
+    return { ok: false, error: `laborRate must be between 0 and ${MAX_SHOP_LABOR_RATE}` };
+  }
+
+  const shopTier = resolveShopTier({ shopType, partsGrade });
+  if (shopTier.error) {
+    return { ok: false, error: shopTier.error };
+  }
+
+  // Admin overrides match the vehicle whose data is used (the borrowed one when derived)
+  const sourceVehicle = resolved.pricingSource.vehicle;
+  const { repairData, applied: overrides } = applyPricingOverrides(resolved.yearData[norm(repairSlug)], {
+    ...sourceVehicle,
+    repairSlug: norm(repairSlug),
+    category: describeRepair(norm(repairSlug)).category
+  });
+
+  // Get labor rate information
+  const laborInfo = zip ? getLaborRate(zip) : {
+    rate: NATIONAL_AVERAGE,
+    source: 'National Average',
+    breakdown: { baseRate: NATIONAL_AVERAGE, cityPremium: 0 }
+  };
+
+  const laborMultiplier = zip ? getLaborMultiplier(zip) : 1.0;
+
+  const pricing = extractPricing(repairData);
+  if (!pricing) {
+    return { ok: false, error: 'Invalid pricing data format' };
+  }
+
+  let { partsLow, partsHigh } = pricing;
+  const hours = getBookHours(repairData, pricing);
+
+  // Book hours at the shop's posted rate when given, otherwise the local rate
+  const rate = shopRate ?? laborInfo.rate;
+  let laborLow = hours.low * rate;
+  let laborHigh = hours.high * rate;
+
+  // Project stale data to today (an admin-set repair price is already current)
+  const priceOverridden = overrides.some(override => override.type === 'repair');
+  const inflationFactors = inflation && !priceOverridden ? getInflationFactors(dataVersions[sourceVehicle.make]) : null;
+  if (inflationFactors) {
+    partsLow = Math.round(partsLow * inflationFactors.parts);
+    partsHigh = Math.round(partsHigh * inflationFactors.parts);
+    laborLow = laborLow * inflationFactors.labor;
+    laborHigh = laborHigh * inflationFactors.labor;
+  }
+
+  const repairInfo = describeRepair(norm(repairSlug), repairData.title || repairData.RepairTitle);
+
+  // Shop type scales labor (unless the shop's own rate was given); type and grade scale parts
+  const priceTier = (tier) => {
+    const multipliers = getTierMultipliers(norm(make), tier);
+    const laborFactor = shopRate !== null ? 1 : multipliers.labor;
+    const parts = { low: Math.round(partsLow * multipliers.parts), high: Math.round(partsHigh * multipliers.parts) };
+    const labor = { low: Math.round(laborLow * laborFactor), high: Math.round(laborHigh * laborFactor) };
+    return {
+      ...tier,
+      multipliers: { parts: Math.round(multipliers.parts * 1000) / 1000, labor: laborFactor },
+      price: { low: parts.low + labor.low, high: parts.high + labor.high },
+      breakdown: { parts, labor }
+    };
+  };
+
+  const selected = priceTier(shopTier);
+  const adjustedLaborLow = selected.breakdown.labor.low;
+  const adjustedLaborHigh = selected.breakdown.labor.high;
+
+  // Calculate totals
+  const totalLow = selected.price.low;
+  const totalHigh = selected.price.high;
+
+  return {
+    ok: true,
+    available: true,
+    price: {
+      low: totalLow,
+      high: totalHigh
+    },
+    breakdown: {
+      parts: selected.breakdown.parts,
+      labor: {
+        low: adjustedLaborLow,
+        high: adjustedLaborHigh,
+        baseRate: laborInfo.rate,
+        hours: {
+          low: Math.round(hours.low * 10) / 10,
+          high: Math.round(hours.high * 10) / 10,
+          source: hours.source
+        },
+        rate: Math.round(rate * selected.multipliers.labor * 100) / 100,
+        rateSource: shopRate !== null ? 'shop' : 'local'
+      }
+    },
+    location: {
+      zip: zip,
+      source: laborInfo.source,
+      coordinates: laborInfo.coordinates ? {
+        lat: laborInfo.coordinates.lat,
+        lon: laborInfo.coordinates.lon,
+        precision: laborInfo.coordinates.precision,
+        exact: laborInfo.coordinates.precision === 'exact'
+      } : null
+    },
+    regionalAdjustment: {
+      multiplier: Math.round(laborMultiplier * 1000) / 1000,
+      laborRate: laborInfo.rate,
+      nationalAverage: NATIONAL_AVERAGE,
+      difference: `${laborMultiplier > 1 ? '+' : ''}${Math.round((laborMultiplier - 1) * 100)}%`
+    },
+    shopTier: { shopType: selected.shopType, partsGrade: selected.partsGrade, multipliers: selected.multipliers },
+    // Side-by-side pricing for every shop type / parts grade
+    tiers: listShopTiers().map(tier => ({ ...priceTier(tier), selected: tier.shopType === selected.shopType && tier.partsGrade === selected.partsGrade })),
+    repairTitle: repairInfo.title,
+    repair: repairInfo,
+    pricingSource: resolved.pricingSource,
+    inflation: !inflation ? null
+      : inflationFactors ? { applied: true, ...inflationFactors }
+      : { applied: false, reason: priceOverridden ? 'Admin price override is current' : 'No generation date for this data' },
+    overrides: [
+      ...overrides,
+      ...(laborInfo.breakdown.rateOverrides || []).map(key => ({ type: 'labor-rate', key }))
+    ],
+    vehicle: { year, make, model }
+  };
+}
+
+/**
+ * Compute a multi-line estimate: several repairs for one vehicle and ZIP
+ * @param {object} vehicleData - Loaded pricing data keyed by make/model/year/repair
+ * @param {object} params - { year, make, model, repairSlugs: string[], zip, laborRate, shopType, partsGrade }
+ * @param {object} options - Passed through to computeQuote() ({ fallback, productionYears })
+ * @returns {object} Estimate with per-line quotes and grand totals ({ ok: false, error } on failure)
+ */
+export function computeEstimate(vehicleData, { year, make, model, repairSlugs, zip, laborRate = null, shopType, partsGrade }, options = {}) {
+  const slugs = [...new Set((Array.isArray(repairSlugs) ? repairSlugs : []).map(norm).filter(Boolean))];
+
+  if (slugs.length === 0) {
+    return { ok: false, error: 'No repairs requested' };
+  }
+  if (slugs.length > MAX_ESTIMATE_REPAIRS) {
+    return { ok: false, error: `Too many repairs (max ${MAX_ESTIMATE_REPAIRS})` };
+  }
+
+  const quotes = [];
+  const missingRepairs = [];
+
+  for (const repairSlug of slugs) {
+    const quote = computeQuote(vehicleData, { year, make, model, repairSlug, zip, laborRate, shopType, partsGrade }, options);
+
+    if (quote.ok) {
+      quotes.push({ repairSlug, quote });
+    } else if (quote.error === 'Repair not found') {
+      missingRepairs.push(repairSlug);
+    } else {
+      // Make/model/year problems apply to every line
+      return quote;
+    }
+  }
+
+  if (missingRepairs.length > 0) {
+    return { ok: false, error: 'Repair not found', missingRepairs };
+  }
+
+  const lines = quotes.map(({ repairSlug, quote }) => ({
+    repairSlug,
+    repairTitle: quote.repairTitle,
+    category: quote.repair.category,
+    pricingSource: quote.pricingSource,
+    overrides: quote.overrides,
+    inflation: quote.inflation,
+    price: quote.price,
+    breakdown: {
+      parts: quote.breakdown.parts,
+      labor: { low: quote.breakdown.labor.low, high: quote.breakdown.labor.high, hours: quote.breakdown.labor.hours }
+    }
+  }));
+
+  const sum = (pick) => lines.reduce((total, line) => total + pick(line), 0);
+  const { location, regionalAdjustment, shopTier } = quotes[0].quote;
+
+  // Shared teardown is only charged once when related repairs are bundled
+  const overlap = applyLaborOverlap(lines);
+
+  const laborLow = sum(line => line.breakdown.labor.low) - overlap.total.low;
+  const laborHigh = sum(line => line.breakdown.labor.high) - overlap.total.high;
+  const partsLow = sum(line => line.breakdown.parts.low);
+  const partsHigh = sum(line => line.breakdown.parts.high);
+  const { rate, rateSource } = quotes[0].quote.breakdown.labor;
+
+  return {
+    ok: true,
+    available: true,
+    lines,
+    count: lines.length,
+    price: {
+      low: partsLow + laborLow,
+      high: partsHigh + laborHigh
+    },
+    breakdown: {
+      parts: { low: partsLow, high: partsHigh },
+      labor: {
+        low: laborLow,
+        high: laborHigh,
+        baseRate: regionalAdjustment.laborRate,
+        // Book hours summed across lines, before the overlap discount
+        hours: {
+          low: Math.round(sum(line => line.breakdown.labor.hours.low) * 10) / 10,
+          high: Math.round(sum(line => line.breakdown.labor.hours.high) * 10) / 10
+        },
+        rate,
+        rateSource,
+        overlapDiscount: overlap.total
+      }
+    },
+    laborDiscounts: overlap.discounts,
+    shopTier,
+    derived: lines.some(line => line.pricingSource.derived),
+    inflationAdjusted: lines.some(line => line.inflation?.applied),
+    location,
+    regionalAdjustment,
+    vehicle: { year, make, model }
+  };
+}
+
+/**
+ * Reduce an estimate to the fields a paid report is built from
+ * @param {object} estimate - computeEstimate() result
+ * @param {object} params - { year, make, model, zip } as priced
+ * @returns {object} Snapshot (plain JSON, safe to sign and store)
+ */
+export function createQuoteSnapshot(estimate, { year, make, model, zip }) {
+  return {
+    vehicle: { year: normYear(year), make: norm(make), model: norm(model) },
+    repairs: estimate.lines.map(line => line.repairSlug),
+    zip: String(zip || ''),
+    lines: estimate.lines,
+    price: estimate.price,
+    breakdown: estimate.breakdown,
+    laborDiscounts: estimate.laborDiscounts,
+    shopTier: estimate.shopTier,
+    derived: estimate.derived,
+    location: estimate.location,
+    regionalAdjustment: estimate.regionalAdjustment,
+    pricedAt: new Date().toISOString()
+  };
+}
+
+// Stable JSON encoding (sorted keys) so a snapshot signs the same after a store round trip
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Sign a quote snapshot (HMAC-SHA256 over canonical JSON)
+ * @param {object} snapshot - createQuoteSnapshot() result
+ * @returns {string} Hex signature
+ */
+export function signQuote(snapshot) {
+  return crypto.createHmac('sha256', QUOTE_SIGNING_SECRET).update(canonicalize(snapshot)).digest('hex');
+}
+
+/**
+ * Verify a quote snapshot against its signature
+ * @param {object} snapshot - Stored snapshot
+ * @param {string} signature - Hex signature from signQuote()
+ * @returns {boolean} True if the snapshot is unmodified
+ */
+export function verifyQuote(snapshot, signature) {
+  if (!snapshot || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signQuote(snapshot), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,154 @@
+/**
+ * QUOTE TIERS MODULE
+ * Free "teaser" responses vs the full pricing the paid report contains
+ *
+ * Public pricing routes answer in one of two tiers:
+ *   teaser - availability and a rounded price band, no parts/labor split,
+ *            hours, labor rate or regional details; priced at the default
+ *            shop tier and local rate whatever the request asks for
+ *   full   - the complete computeQuote() / computeEstimate() response
+ *
+ * Full pricing needs a paid checkout session covering the same vehicle,
+ * repair(s) and ZIP, or an API key with the quote scope (decided in server.js).
+ */
+
+import { compareToRange } from './quoteComparison.js';
+
+export const QUOTE_TIERS = ['teaser', 'full'];
+
+// Band rounding by price level: [below this high price, round to]
+const BAND_STEPS = [[500, 25], [2000, 50], [Infinity, 100]];
+
+const norm = (value) => String(value ?? '').toLowerCase().trim();
+
+/**
+ * Round a price range outward to a coarse band
+ * @param {object} price - { low, high }
+ * @returns {object} { low, high, step }
+ */
+export function priceBand({ low, high }) {
+  const step = BAND_STEPS.find(([limit]) => high < limit)[1];
+  const bandLow = Math.floor(low / step) * step;
+  const bandHigh = Math.max(Math.ceil(high / step) * step, bandLow + step);
+  return { low: bandLow, high: bandHigh, step };
+}
+
+const teaserTier = (shopTier) => (shopTier ? { shopType: shopTier.shopType, partsGrade: shopTier.partsGrade } : null);
+
+const unlockInfo = (access) => ({
+  tier: 'teaser',
+  ...(access.reason && { reason: access.reason }),
+  unlock: 'Purchase the pricing report for the full parts and labor breakdown'
+});
+
+/**
+ * Teaser version of a computeQuote() result
+ * @param {object} quote - computeQuote() result (ok)
+ * @param {object} access - { tier: 'teaser', reason? }
+ * @returns {object}
+ */
+export function teaserQuote(quote, access = {}) {
+  return {
+    ok: true,
+    available: true,
+    priceBand: priceBand(quote.price),
+    repairTitle: quote.repairTitle,
+    repair: quote.repair,
+    shopTier: teaserTier(quote.shopTier),
+    location: { zip: quote.location?.zip },
+    vehicle: quote.vehicle,
+    access: unlockInfo(access)
+  };
+}
+
+/**
+ * Teaser version of a computeEstimate() result (total band only, no per-line prices)
+ * @param {object} estimate - computeEstimate() result (ok)
+ * @param {object} access - { tier: 'teaser', reason? }
+ * @returns {object}
+ */
+export function teaserEstimate(estimate, access = {}) {
+  return {
+    ok: true,
+    available: true,
+    count: estimate.count,
+    lines: estimate.lines.map(line => ({ repairSlug: line.repairSlug, repairTitle: line.repairTitle, category: line.category })),
+    priceBand: priceBand(estimate.price),
+    shopTier: teaserTier(estimate.shopTier),
+    location: { zip: estimate.location?.zip },
+    vehicle: estimate.vehicle,
+    access: unlockInfo(access)
+  };
+}
+
+/**
+ * Teaser version of a compareShopQuote() result: the overall verdict and our band
+ * The verdict is re-judged against the rounded band, not the exact range, and
+ * per-component verdicts and flags are left out - probing any of them with
+ * different shop amounts would recover the exact ranges.
+ * @param {object} comparison - compareShopQuote() result (ok)
+ * @param {object} access - { tier: 'teaser', reason? }
+ * @returns {object}
+ */
+export function teaserComparison(comparison, access = {}) {
+  const band = priceBand(comparison.ourEstimate.price);
+  const { verdict, label } = compareToRange(comparison.components.total.quoted, band);
+
+  return {
+    ok: true,
+    verdict,
+    label,
+    ourEstimate: { priceBand: band },
+    access: unlockInfo(access)
+  };
+}
+
+/**
+ * Teaser version of a planMaintenance() result: banded item prices and totals
+ * @param {object} plan - planMaintenance() result (ok)
+ * @param {object} access - { tier: 'teaser', reason? }
+ * @returns {object}
+ */
+export function teaserMaintenancePlan(plan, access = {}) {
+  const band = (price) => (price && price.high > 0 ? priceBand(price) : null);
+
+  return {
+    ...plan,
+    items: plan.items.map(({ price, ...item }) => ({ ...item, priceBand: band(price) })),
+    yearly: plan.yearly.map(({ total, ...entry }) => ({ ...entry, totalBand: band(total) })),
+    total: undefined,
+    totalBand: band(plan.total),
+    shopTier: teaserTier(plan.shopTier),
+    location: plan.location ? { zip: plan.location.zip } : null,
+    regionalAdjustment: undefined,
+    access: unlockInfo(access)
+  };
+}
+
+/**
+ * Check that a paid order covers a pricing request
+ * @param {object} order - Order record (vehicle, repairs, zip, paymentStatus)
+ * @param {object} request - { year, make, model, repairSlugs: string[], zip }
+ * @returns {object} { ok: true } or { ok: false, reason }
+ */
+export function orderCoversRequest(order, { year, make, model, repairSlugs, zip }) {
+  if (!order || order.paymentStatus !== 'paid') {
+    return { ok: false, reason: 'Checkout session is not paid' };
+  }
+
+  const vehicle = order.vehicle || {};
+  if (norm(vehicle.year) !== norm(year) || norm(vehicle.make) !== norm(make) || norm(vehicle.model) !== norm(model)) {
+    return { ok: false, reason: 'Checkout session is for a different vehicle' };
+  }
+
+  const purchased = (order.repairs || String(order.repair || '').split(',')).map(norm).filter(Boolean);
+  if (!repairSlugs.length || !repairSlugs.every(slug => purchased.includes(norm(slug)))) {
+    return { ok: false, reason: 'Checkout session does not include this repair' };
+  }
+
+  if (norm(order.zip) !== norm(zip)) {
+    return { ok: false, reason: 'Checkout session is for a different ZIP code' };
+  }
+
+  return { ok: true };
+}
@@ -0,0 +1,220 @@
+/**
+ * RATE LIMITER MODULE
+ * Token bucket limits and scrape detection for the public pricing endpoints
+ *
+ * Configured by rate_limits.json:
+ *   policies - { [name]: { ip: { capacity, refillPerMinute }, apiKey: { ... } } }
+ *              Each client gets a bucket of `capacity` requests per policy,
+ *              refilled continuously at `refillPerMinute`. Callers with a valid
+ *              API key are limited per key, everyone else per IP.
+ *   scrape   - { windowMinutes, maxDistinctVehicles, maxDistinctZips, blockMinutes, exemptApiKeys }
+ *              A client asking about more distinct vehicles (or ZIP codes) than
+ *              allowed within the window is blocked from every policy for
+ *              blockMinutes. Walking the catalog looks like this; shoppers don't.
+ *
+ * State lives in a store with an async interface so a shared backend (e.g.
+ * Redis) can replace the in-memory one when running several instances:
+ *   take(key, { capacity, refillPerMs }, now)          → { allowed, tokens, retryAfterMs, resetMs }
+ *   addDistinct(key, member, windowMs, now)            → distinct members seen within the window
+ *   block(key, untilMs) / getBlock(key, now)           → untilMs or null
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RATE_LIMITS_FILE = path.join(__dirname, 'rate_limits.json');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// Hard cap per map so a flood of spoofed clients can't exhaust memory
+const MAX_TRACKED_KEYS = 100000;
+
+let config = null;
+
+function checkBucket(limits, where) {
+  if (!limits || !Number.isInteger(limits.capacity) || limits.capacity < 1 || !(limits.refillPerMinute > 0)) {
+    throw new Error(`rate_limits.json: ${where} needs an integer capacity >= 1 and a positive refillPerMinute`);
+  }
+}
+
+function loadConfig() {
+  const parsed = JSON.parse(fs.readFileSync(RATE_LIMITS_FILE, 'utf-8'));
+
+  for (const [name, policy] of Object.entries(parsed.policies || {})) {
+    checkBucket(policy.ip, `policies.${name}.ip`);
+    checkBucket(policy.apiKey, `policies.${name}.apiKey`);
+  }
+
+  const scrape = parsed.scrape || null;
+  if (scrape) {
+    for (const field of ['windowMinutes', 'maxDistinctVehicles', 'maxDistinctZips', 'blockMinutes']) {
+      if (!(scrape[field] > 0)) {
+        throw new Error(`rate_limits.json: scrape.${field} must be a positive number`);
+      }
+    }
+  }
+
+  return { policies: parsed.policies || {}, scrape, updatedAt: parsed.updatedAt || null };
+}
+
+/**
+ * Get the active rate limit configuration
+ * @returns {object} { policies, scrape, updatedAt }
+ */
+export function getRateLimitConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+}
+
+// Drop the oldest entries once a map passes the cap (Maps iterate in insertion order)
+function enforceCap(map) {
+  if (map.size <= MAX_TRACKED_KEYS) return;
+  for (const key of map.keys()) {
+    map.delete(key);
+    if (map.size <= MAX_TRACKED_KEYS) break;
+  }
+}
+
+/**
+ * In-memory store (single process)
+ * @returns {object} Store implementing take / addDistinct / block / getBlock
+ */
+export function createMemoryStore() {
+  const buckets = new Map();
+  const distinct = new Map();
+  const blocks = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (now >= bucket.fullAt) buckets.delete(key);
+    }
+    for (const [key, entry] of distinct) {
+      for (const [member, seenAt] of entry.members) {
+        if (now - seenAt > entry.windowMs) entry.members.delete(member);
+      }
+      if (entry.members.size === 0) distinct.delete(key);
+    }
+    for (const [key, until] of blocks) {
+      if (now >= until) blocks.delete(key);
+    }
+  };
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    async take(key, { capacity, refillPerMs }, now = Date.now()) {
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+      bucket.updatedAt = now;
+
+      const allowed = bucket.tokens >= 1;
+      if (allowed) bucket.tokens -= 1;
+
+      const resetMs = (capacity - bucket.tokens) / refillPerMs;
+      bucket.fullAt = now + resetMs;
+      buckets.delete(key);
+      buckets.set(key, bucket);
+      enforceCap(buckets);
+
+      return {
+        allowed,
+        tokens: bucket.tokens,
+        retryAfterMs: allowed ? 0 : (1 - bucket.tokens) / refillPerMs,
+        resetMs
+      };
+    },
+
+    async addDistinct(key, member, windowMs, now = Date.now()) {
+      const entry = distinct.get(key) || { windowMs, members: new Map() };
+      entry.members.delete(member);
+      entry.members.set(member, now);
+      // Members are kept oldest-first, so expired ones sit at the front
+      for (const [old, seenAt] of entry.members) {
+        if (now - seenAt <= windowMs) break;
+        entry.members.delete(old);
+      }
+      distinct.set(key, entry);
+      enforceCap(distinct);
+      return entry.members.size;
+    },
+
+    async block(key, untilMs) {
+      blocks.set(key, untilMs);
+      enforceCap(blocks);
+    },
+
+    async getBlock(key, now = Date.now()) {
+      const until = blocks.get(key);
+      return until && until > now ? until : null;
+    }
+  };
+}
+
+/**
+ * Create a limiter over a store
+ * @param {object} options - { store (default: in-memory), onScrape(client, details) }
+ * @returns {object} { check(client, policyName, signals) }
+ */
+export function createRateLimiter({ store = createMemoryStore(), onScrape = () => {} } = {}) {
+  /**
+   * Count one request
+   * @param {object} client - { id: 'ip:1.2.3.4' | 'key:<id>', type: 'ip' | 'apiKey' }
+   * @param {string} policyName - Policy from rate_limits.json
+   * @param {object} signals - { vehicle, zip } requested (for scrape detection; either may be null)
+   * @returns {Promise<object>} { allowed, limit, remaining, resetSeconds, retryAfterSeconds, reason: 'rate' | 'scrape' | null }
+   */
+  async function check(client, policyName, { vehicle = null, zip = null } = {}) {
+    const { policies, scrape } = getRateLimitConfig();
+    const policy = policies[policyName];
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy "${policyName}"`);
+    }
+
+    const limits = client.type === 'apiKey' ? policy.apiKey : policy.ip;
+    const now = Date.now();
+
+    const blockedUntil = await store.getBlock(client.id, now);
+    if (blockedUntil) {
+      const seconds = Math.ceil((blockedUntil - now) / 1000);
+      return { allowed: false, limit: limits.capacity, remaining: 0, resetSeconds: seconds, retryAfterSeconds: seconds, reason: 'scrape' };
+    }
+
+    const bucket = await store.take(`${policyName}:${client.id}`, {
+      capacity: limits.capacity,
+      refillPerMs: limits.refillPerMinute / 60000
+    }, now);
+
+    const result = {
+      allowed: bucket.allowed,
+      limit: limits.capacity,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil(bucket.resetMs / 1000),
+      retryAfterSeconds: Math.ceil(bucket.retryAfterMs / 1000),
+      reason: bucket.allowed ? null : 'rate'
+    };
+
+    if (!bucket.allowed || !scrape || (client.type === 'apiKey' && scrape.exemptApiKeys)) {
+      return result;
+    }
+
+    const windowMs = scrape.windowMinutes * 60000;
+    const vehicles = vehicle ? await store.addDistinct(`vehicles:${client.id}`, vehicle, windowMs, now) : 0;
+    const zips = zip ? await store.addDistinct(`zips:${client.id}`, zip, windowMs, now) : 0;
+
+    if (vehicles > scrape.maxDistinctVehicles || zips > scrape.maxDistinctZips) {
+      const blockMs = scrape.blockMinutes * 60000;
+      await store.block(client.id, now + blockMs);
+      onScrape(client, { vehicles, zips, windowMinutes: scrape.windowMinutes, blockMinutes: scrape.blockMinutes });
+
+      const seconds = Math.ceil(blockMs / 1000);
+      return { ...result, allowed: false, remaining: 0, resetSeconds: seconds, retryAfterSeconds: seconds, reason: 'scrape' };
+    }
+
+    return result;
+  }
+
+  return { check };
+}
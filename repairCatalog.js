@@ -0,0 +1,343 @@
+/**
+ * REPAIR CATALOG MODULE
+ * Canonical definition of every repair slug used in data/*.json
+ *
+ * Each repair is defined once with a display title, category, aliases (what
+ * customers call it), a plain-English description, typical shop time and an
+ * urgency level. Endpoints enrich pricing responses from here instead of
+ * showing generated slugs like `brakes---replace-pads--resurface-rotors`.
+ */
+
+export const REPAIR_CATEGORIES = [
+  'Brakes',
+  'HVAC',
+  'Engine',
+  'Cooling',
+  'Electrical',
+  'Fuel & Emissions',
+  'Drivetrain',
+  'Steering & Suspension',
+  'Tires & Wheels',
+  'Maintenance',
+  'Body'
+];
+
+// Urgency levels, least to most pressing
+export const URGENCY_LEVELS = {
+  routine: 'Scheduled maintenance - plan it at your next service',
+  soon: 'Address within the next few weeks to avoid further wear',
+  urgent: 'Repair promptly - affects reliability or drivability',
+  critical: 'Safety-related - stop driving until repaired'
+};
+
+const repair = (title, category, urgency, durationHours, description, aliases = []) =>
+  ({ title, category, urgency, durationHours, description, aliases });
+
+export const REPAIR_CATALOG = {
+  // Brakes
+  'abs-module-replacement': repair('ABS Module Replacement', 'Brakes', 'urgent', { low: 1.5, high: 3 },
+    'Replaces the anti-lock brake control module that pulses the brakes during hard stops. Usually needed when the ABS light stays on.',
+    ['abs light', 'anti-lock brake module', 'abs pump']),
+  'brake-bleed': repair('Brake Bleed', 'Brakes', 'urgent', { low: 0.5, high: 1 },
+    'Pushes trapped air out of the brake lines so the pedal feels firm again.',
+    ['bleed brakes', 'spongy brake pedal', 'soft brake pedal']),
+  'brake-caliper-replacement': repair('Brake Caliper Replacement', 'Brakes', 'critical', { low: 1, high: 2 },
+    'Replaces a seized or leaking caliper, the clamp that squeezes the pads against the rotor.',
+    ['caliper', 'stuck caliper', 'brake pulling to one side']),
+  'brake-fluid---flush-fluid--bleed-brakes': repair('Brake Fluid Flush & Bleed', 'Brakes', 'routine', { low: 0.5, high: 1 },
+    'Drains old, moisture-contaminated brake fluid and refills the system with fresh fluid.',
+    ['brake fluid change', 'brake flush']),
+  'brake-light-switch-replacement': repair('Brake Light Switch Replacement', 'Electrical', 'urgent', { low: 0.3, high: 1 },
+    'Replaces the pedal switch that turns on the brake lights and lets the car shift out of park.',
+    ['brake lights not working', 'stuck in park']),
+  'brake-line-replacement': repair('Brake Line Replacement', 'Brakes', 'critical', { low: 1, high: 3 },
+    'Replaces a rusted or leaking hydraulic line between the master cylinder and the wheels.',
+    ['leaking brake line', 'brake fluid leak']),
+  'brake-master-cylinder-replacement': repair('Brake Master Cylinder Replacement', 'Brakes', 'critical', { low: 1, high: 2 },
+    'Replaces the cylinder that turns pedal pressure into hydraulic pressure at each wheel.',
+    ['master cylinder', 'brake pedal sinks to floor']),
+  'brakes---adjust': repair('Brake Adjustment', 'Brakes', 'soon', { low: 0.5, high: 1 },
+    'Adjusts drum brake shoes and the parking brake so they engage evenly.',
+    ['parking brake adjust', 'drum brake adjust']),
+  'brakes---replace-pads': repair('Brake Pad Replacement', 'Brakes', 'urgent', { low: 1, high: 1.5 },
+    'Replaces worn brake pads on one axle. Needed when brakes squeal or the pads are below minimum thickness.',
+    ['brake pads', 'squeaky brakes', 'squealing brakes']),
+  'brakes---replace-pads--resurface-rotors': repair('Brake Pads & Rotor Resurfacing', 'Brakes', 'urgent', { low: 1.5, high: 2 },
+    'Replaces the pads on one axle and machines the rotors smooth so the new pads bed in evenly.',
+    ['pads and turn rotors', 'brake job']),
+  'brakes---replace-pads--rotors': repair('Brake Pads & Rotors Replacement', 'Brakes', 'urgent', { low: 1.5, high: 2.5 },
+    'Replaces both pads and rotors on one axle. Fixes grinding and pulsing when braking.',
+    ['brake job', 'pads and rotors', 'grinding brakes']),
+  'brakes---replace-rotors': repair('Brake Rotor Replacement', 'Brakes', 'urgent', { low: 1, high: 1.5 },
+    'Replaces warped or worn rotors on one axle. Fixes a shaking steering wheel or pulsing pedal when braking.',
+    ['rotors', 'warped rotors', 'brake pedal pulsing']),
+  'brakes---resurface-rotors': repair('Brake Rotor Resurfacing', 'Brakes', 'soon', { low: 1, high: 1.5 },
+    'Machines the rotor surfaces smooth to remove minor warping and grooves.',
+    ['turn rotors', 'machine rotors']),
+
+  // HVAC
+  'ac-line-replacement': repair('AC Line Replacement', 'HVAC', 'soon', { low: 1.5, high: 3 },
+    'Replaces a leaking refrigerant hose or line, then evacuates and recharges the system.',
+    ['ac leak', 'ac hose']),
+  'ac-repair': repair('AC Repair', 'HVAC', 'soon', { low: 1, high: 2 },
+    'Diagnoses and fixes a general air conditioning fault such as a bad switch, relay or small leak.',
+    ['ac not working', 'ac not cold', 'air conditioning broken']),
+  'air-conditioning---recharge': repair('AC Recharge', 'HVAC', 'routine', { low: 0.5, high: 1 },
+    'Recovers, vacuum-tests and recharges the refrigerant so the AC blows cold again.',
+    ['ac recharge', 'freon', 'ac not cold', 'ac regas']),
+  'air-conditioning---replace-compressor': repair('AC Compressor Replacement', 'HVAC', 'soon', { low: 2.5, high: 4 },
+    'Replaces the belt-driven pump that circulates refrigerant, then recharges the system.',
+    ['ac compressor', 'ac clutch', 'ac blowing warm']),
+  'cabin-air-filter---replace': repair('Cabin Air Filter Replacement', 'Maintenance', 'routine', { low: 0.2, high: 0.5 },
+    'Replaces the filter that cleans air coming through the vents.',
+    ['cabin filter', 'musty smell from vents', 'pollen filter']),
+
+  // Engine
+  'crankshaft-seal-replacement': repair('Crankshaft Seal Replacement', 'Engine', 'soon', { low: 2, high: 4 },
+    'Replaces a leaking front or rear main seal where the crankshaft exits the engine.',
+    ['rear main seal', 'front main seal', 'oil leak']),
+  'engine-belt---replace': repair('Serpentine Belt Replacement', 'Engine', 'soon', { low: 0.5, high: 1 },
+    'Replaces the belt that drives the alternator, AC and power steering. Fixes squealing on startup.',
+    ['serpentine belt', 'drive belt', 'squealing belt', 'fan belt']),
+  'drive-belt-tensioner-replacement': repair('Drive Belt Tensioner Replacement', 'Engine', 'soon', { low: 0.5, high: 1.5 },
+    'Replaces the spring-loaded pulley that keeps the serpentine belt tight.',
+    ['belt tensioner', 'tensioner pulley']),
+  'engine-diagnostics---check-engine-light': repair('Check Engine Light Diagnostics', 'Engine', 'soon', { low: 0.5, high: 1.5 },
+    'Reads stored trouble codes and tests the related system to find why the check engine light is on.',
+    ['check engine light', 'cel', 'engine light', 'diagnostic']),
+  'engine-replacement': repair('Engine Replacement', 'Engine', 'critical', { low: 12, high: 25 },
+    'Removes the engine and installs a new, remanufactured or used replacement.',
+    ['new engine', 'blown engine', 'engine swap']),
+  'head-gasket-replacement': repair('Head Gasket Replacement', 'Engine', 'critical', { low: 6, high: 12 },
+    'Replaces the gasket between the engine block and cylinder head. Fixes coolant loss, white exhaust smoke and overheating.',
+    ['blown head gasket', 'white smoke', 'coolant in oil']),
+  'intake-manifold-gasket---replace': repair('Intake Manifold Gasket Replacement', 'Engine', 'soon', { low: 2, high: 5 },
+    'Replaces the seal between the intake manifold and the engine. Fixes vacuum leaks and rough idle.',
+    ['vacuum leak', 'intake gasket']),
+  'oil-pan-gasket-replacement': repair('Oil Pan Gasket Replacement', 'Engine', 'soon', { low: 1.5, high: 4 },
+    'Replaces the seal around the oil pan to stop oil drips under the car.',
+    ['oil leak', 'oil pan leak']),
+  'oil-pan-replacement': repair('Oil Pan Replacement', 'Engine', 'urgent', { low: 1.5, high: 4 },
+    'Replaces a cracked or damaged oil pan, including a fresh gasket and oil.',
+    ['cracked oil pan', 'stripped drain plug']),
+  'oil-pressure-sensor-replacement': repair('Oil Pressure Sensor Replacement', 'Engine', 'urgent', { low: 0.5, high: 1.5 },
+    'Replaces the sender that reports oil pressure to the dash warning light or gauge.',
+    ['oil pressure light', 'oil light on']),
+  'oil-pump-replacement': repair('Oil Pump Replacement', 'Engine', 'critical', { low: 4, high: 8 },
+    'Replaces the pump that circulates oil through the engine. Low oil pressure can destroy an engine quickly.',
+    ['low oil pressure', 'oil pump']),
+  'pcv-valve-replacement': repair('PCV Valve Replacement', 'Engine', 'routine', { low: 0.3, high: 1 },
+    'Replaces the crankcase ventilation valve that routes blow-by gases back into the intake.',
+    ['pcv', 'crankcase vent']),
+  'timing-belt---replace': repair('Timing Belt Replacement', 'Engine', 'urgent', { low: 3, high: 6 },
+    'Replaces the belt that keeps the camshafts and crankshaft in sync. A snapped belt can wreck an interference engine.',
+    ['timing belt', 'cam belt']),
+  'timing-chain-replacement': repair('Timing Chain Replacement', 'Engine', 'urgent', { low: 5, high: 10 },
+    'Replaces a stretched timing chain with its guides and tensioner. Fixes rattling on cold start.',
+    ['timing chain', 'chain rattle']),
+  'turbo-replacement': repair('Turbocharger Replacement', 'Engine', 'urgent', { low: 3, high: 6 },
+    'Replaces a failed turbocharger. Symptoms include lost power, whining and blue smoke.',
+    ['turbo', 'turbocharger', 'loss of boost']),
+  'valve-cover-gasket-replacement': repair('Valve Cover Gasket Replacement', 'Engine', 'soon', { low: 1, high: 3 },
+    'Replaces the seal on top of the engine to stop oil leaking onto the exhaust (burning oil smell).',
+    ['valve cover leak', 'burning oil smell', 'oil leak']),
+
+  // Cooling
+  'coolant---flush': repair('Coolant Flush', 'Cooling', 'routine', { low: 0.5, high: 1.5 },
+    'Drains old antifreeze and refills the cooling system with fresh coolant.',
+    ['antifreeze flush', 'radiator flush', 'coolant change']),
+  'coolant-thermostat-replacement': repair('Coolant Thermostat Replacement', 'Cooling', 'urgent', { low: 1, high: 2.5 },
+    'Replaces the thermostat and housing that regulate engine temperature, then refills coolant.',
+    ['thermostat housing', 'overheating']),
+  'radiator-fan-motor-replacement': repair('Radiator Fan Motor Replacement', 'Cooling', 'urgent', { low: 1, high: 2 },
+    'Replaces the electric fan that pulls air through the radiator at low speed and idle.',
+    ['cooling fan', 'overheating in traffic']),
+  'radiator-hose-replacement': repair('Radiator Hose Replacement', 'Cooling', 'urgent', { low: 0.5, high: 1.5 },
+    'Replaces a cracked or leaking coolant hose and refills the system.',
+    ['coolant leak', 'leaking hose']),
+  'radiator-replacement': repair('Radiator Replacement', 'Cooling', 'urgent', { low: 1.5, high: 3 },
+    'Replaces a leaking or clogged radiator and refills the cooling system.',
+    ['radiator leak', 'overheating', 'coolant leak']),
+  'thermostat---replace': repair('Thermostat Replacement', 'Cooling', 'urgent', { low: 1, high: 2 },
+    'Replaces a stuck thermostat. Fixes overheating or a heater that never gets hot.',
+    ['thermostat', 'no heat', 'overheating']),
+  'water-pump---replace': repair('Water Pump Replacement', 'Cooling', 'urgent', { low: 2, high: 5 },
+    'Replaces the pump that circulates coolant. Often done with the timing belt on engines where it is belt-driven.',
+    ['water pump', 'coolant leak', 'overheating']),
+
+  // Electrical
+  'alternator-replacement': repair('Alternator Replacement', 'Electrical', 'urgent', { low: 1, high: 3 },
+    'Replaces the alternator that charges the battery while the engine runs.',
+    ['battery light', 'alternator', 'charging problem', 'dead battery']),
+  'battery---replace': repair('Battery Replacement', 'Electrical', 'urgent', { low: 0.3, high: 1 },
+    'Replaces the 12-volt battery and checks the charging system.',
+    ['new battery', 'dead battery', 'car wont start']),
+  'battery-check': repair('Battery Test', 'Electrical', 'routine', { low: 0.2, high: 0.5 },
+    'Load-tests the battery and checks the starter and alternator output.',
+    ['battery test', 'slow crank']),
+  'engine-control-unit-ecu---reprogram': repair('ECU Reprogramming', 'Electrical', 'soon', { low: 0.5, high: 1.5 },
+    'Flashes the engine computer with the latest factory software update.',
+    ['ecu update', 'pcm reflash', 'software update']),
+  'hood-latch-assembly-replacement': repair('Hood Latch Replacement', 'Body', 'soon', { low: 0.5, high: 1 },
+    'Replaces the latch that holds the hood closed.',
+    ['hood wont open', 'hood wont close']),
+  'ignition-switch-replacement': repair('Ignition Switch Replacement', 'Electrical', 'urgent', { low: 1, high: 2 },
+    'Replaces the switch behind the key cylinder or push button that powers up the car.',
+    ['key wont turn', 'car wont start', 'ignition']),
+  'starter-replacement': repair('Starter Replacement', 'Electrical', 'urgent', { low: 1, high: 3 },
+    'Replaces the starter motor that cranks the engine.',
+    ['car wont start', 'clicking when starting', 'starter']),
+  'window-regulator-replacement---rear': repair('Rear Window Regulator Replacement', 'Body', 'soon', { low: 1, high: 2 },
+    'Replaces the motor and track that raise and lower a rear door window.',
+    ['window wont go up', 'power window']),
+
+  // Fuel & Emissions
+  'catalytic-converter-replacement': repair('Catalytic Converter Replacement', 'Fuel & Emissions', 'urgent', { low: 1, high: 3 },
+    'Replaces the emissions converter in the exhaust. Often required to pass inspection.',
+    ['catalytic converter', 'cat converter', 'p0420', 'rotten egg smell']),
+  'exhaust-system-replacement': repair('Exhaust System Replacement', 'Fuel & Emissions', 'soon', { low: 1, high: 3 },
+    'Replaces rusted or leaking exhaust pipes and muffler.',
+    ['loud exhaust', 'muffler', 'exhaust leak']),
+  'fuel-filter---replace': repair('Fuel Filter Replacement', 'Fuel & Emissions', 'routine', { low: 0.5, high: 1.5 },
+    'Replaces the inline filter that keeps debris out of the injectors.',
+    ['fuel filter']),
+  'fuel-injector---replace': repair('Fuel Injector Replacement', 'Fuel & Emissions', 'urgent', { low: 1, high: 4 },
+    'Replaces a leaking or clogged fuel injector. Fixes misfires and rough running.',
+    ['misfire', 'bad injector']),
+  'fuel-injector---service': repair('Fuel Injector Cleaning', 'Fuel & Emissions', 'routine', { low: 0.5, high: 1.5 },
+    'Cleans fuel injectors and the intake to restore spray pattern and fuel economy.',
+    ['fuel system cleaning', 'injector cleaning']),
+  'fuel-pump---replace': repair('Fuel Pump Replacement', 'Fuel & Emissions', 'critical', { low: 1.5, high: 4 },
+    'Replaces the in-tank pump that feeds fuel to the engine.',
+    ['fuel pump', 'car wont start', 'engine cranks but wont start']),
+  'mass-air-sensor-replacement': repair('Mass Airflow Sensor Replacement', 'Fuel & Emissions', 'soon', { low: 0.3, high: 1 },
+    'Replaces the sensor that measures air entering the engine. Fixes hesitation and poor fuel economy.',
+    ['maf sensor', 'mass airflow']),
+  'purge-valve-replacement': repair('Purge Valve Replacement', 'Fuel & Emissions', 'soon', { low: 0.5, high: 1 },
+    'Replaces the evaporative emissions purge valve that vents fuel vapor into the engine.',
+    ['evap', 'purge solenoid', 'rough idle after refueling']),
+  'throttle-body-replacement': repair('Throttle Body Replacement', 'Fuel & Emissions', 'urgent', { low: 0.5, high: 1.5 },
+    'Replaces the electronic throttle that controls air into the engine.',
+    ['throttle body', 'reduced power mode']),
+
+  // Drivetrain
+  'axle---replace-front-axle': repair('Front CV Axle Replacement', 'Drivetrain', 'urgent', { low: 1, high: 2.5 },
+    'Replaces a front drive axle. Fixes clicking when turning and torn CV boots.',
+    ['cv axle', 'cv joint', 'clicking when turning']),
+  'clutch-replacement': repair('Clutch Replacement', 'Drivetrain', 'urgent', { low: 5, high: 10 },
+    'Replaces the clutch disc, pressure plate and release bearing on a manual transmission.',
+    ['clutch slipping', 'clutch']),
+  'differential-fluid---flush': repair('Differential Fluid Change', 'Drivetrain', 'routine', { low: 0.5, high: 1 },
+    'Drains and refills the gear oil in the differential.',
+    ['diff fluid', 'gear oil change']),
+  'transmission---replace': repair('Transmission Replacement', 'Drivetrain', 'critical', { low: 8, high: 16 },
+    'Removes the transmission and installs a new, remanufactured or used replacement.',
+    ['new transmission', 'transmission slipping', 'transmission failure']),
+  'transmission-fluid---flush': repair('Transmission Fluid Service', 'Drivetrain', 'routine', { low: 0.5, high: 1.5 },
+    'Replaces old transmission fluid to protect shifting and internal parts.',
+    ['transmission flush', 'atf change', 'transmission service']),
+  'wheel-bearings---replace': repair('Wheel Bearing Replacement', 'Drivetrain', 'urgent', { low: 1, high: 3 },
+    'Replaces a worn hub bearing. Fixes a humming or grinding noise that rises with speed.',
+    ['humming noise', 'wheel bearing', 'hub bearing']),
+
+  // Steering & Suspension
+  'power-steering-fluid---flush': repair('Power Steering Fluid Flush', 'Steering & Suspension', 'routine', { low: 0.5, high: 1 },
+    'Replaces old power steering fluid.',
+    ['power steering flush']),
+  'power-steering-pump---replace': repair('Power Steering Pump Replacement', 'Steering & Suspension', 'urgent', { low: 1.5, high: 3 },
+    'Replaces the hydraulic pump that assists steering. Fixes whining and heavy steering.',
+    ['heavy steering', 'power steering whine', 'hard to steer']),
+  'wheels---alignment': repair('Wheel Alignment', 'Steering & Suspension', 'routine', { low: 1, high: 1.5 },
+    'Adjusts camber, caster and toe so the car tracks straight and tires wear evenly.',
+    ['alignment', 'car pulls to one side', 'uneven tire wear']),
+
+  // Tires & Wheels
+  'tire-pressure-tpms-sensor---replace': repair('TPMS Sensor Replacement', 'Tires & Wheels', 'soon', { low: 0.5, high: 1 },
+    'Replaces a tire pressure monitoring sensor and relearns it to the car.',
+    ['tire pressure light', 'tpms']),
+  'tires---mount--balance-4-wheels': repair('Tire Mount & Balance (4 Wheels)', 'Tires & Wheels', 'routine', { low: 1, high: 1.5 },
+    'Mounts four new tires on the wheels and balances them.',
+    ['new tires', 'tire install']),
+  'tires---patch': repair('Tire Patch', 'Tires & Wheels', 'urgent', { low: 0.3, high: 0.5 },
+    'Repairs a puncture in the tread from the inside with a patch plug.',
+    ['flat tire', 'nail in tire', 'tire repair']),
+  'tires---rotate': repair('Tire Rotation', 'Tires & Wheels', 'routine', { low: 0.3, high: 0.5 },
+    'Moves tires between positions so they wear evenly.',
+    ['rotate tires']),
+  'tires---rotate--balance-4-wheels': repair('Tire Rotation & Balance (4 Wheels)', 'Tires & Wheels', 'routine', { low: 0.5, high: 1 },
+    'Rotates all four tires and rebalances them. Fixes vibration at highway speed.',
+    ['tire balance', 'vibration at highway speed']),
+  'wheel-locks---install': repair('Wheel Lock Installation', 'Tires & Wheels', 'routine', { low: 0.2, high: 0.5 },
+    'Installs locking lug nuts to deter wheel theft.',
+    ['locking lug nuts']),
+
+  // Maintenance
+  'engine-air-filter---replace': repair('Engine Air Filter Replacement', 'Maintenance', 'routine', { low: 0.2, high: 0.5 },
+    'Replaces the filter that cleans air going into the engine.',
+    ['air filter']),
+  'oil-change': repair('Oil Change', 'Maintenance', 'routine', { low: 0.3, high: 0.5 },
+    'Drains engine oil and replaces it along with the oil filter.',
+    ['oil and filter', 'lube oil filter', 'oil service']),
+  'spark-plugs---replace': repair('Spark Plug Replacement', 'Maintenance', 'routine', { low: 1, high: 3 },
+    'Replaces worn spark plugs. Fixes misfires, rough idle and poor fuel economy.',
+    ['spark plugs', 'tune up', 'misfire']),
+  'wiper-blades---replace-1-front-wiper': repair('Wiper Blade Replacement', 'Maintenance', 'routine', { low: 0.1, high: 0.3 },
+    'Replaces a front windshield wiper blade.',
+    ['wipers', 'wiper blades', 'streaking wipers'])
+};
+
+/**
+ * Look up a repair in the catalog
+ * @param {string} slug - Repair slug from data/*.json
+ * @returns {object|null} Catalog entry (with slug) or null if not catalogued
+ */
+export function getRepairInfo(slug) {
+  const entry = REPAIR_CATALOG[slug];
+  return entry ? { slug, ...entry } : null;
+}
+
+/**
+ * Describe a repair for API responses, falling back to the data file's own title
+ * @param {string} slug - Repair slug
+ * @param {string} [fallbackTitle] - Title from the pricing data, if any
+ * @returns {object} { slug, title, category, description, durationHours, urgency, urgencyDescription, aliases }
+ */
+export function describeRepair(slug, fallbackTitle) {
+  const entry = REPAIR_CATALOG[slug];
+
+  if (!entry) {
+    return {
+      slug,
+      title: fallbackTitle || slug,
+      category: 'Other',
+      description: null,
+      durationHours: null,
+      urgency: null,
+      urgencyDescription: null,
+      aliases: []
+    };
+  }
+
+  return {
+    slug,
+    title: entry.title,
+    category: entry.category,
+    description: entry.description,
+    durationHours: entry.durationHours,
+    urgency: entry.urgency,
+    urgencyDescription: URGENCY_LEVELS[entry.urgency],
+    aliases: entry.aliases
+  };
+}
+
+/**
+ * Find priced repair slugs that the catalog doesn't define
+ * @param {object} repairSummary - { slug: { makes: string[], entries } } (see getRepairSummary() in pricingData.js)
+ * @returns {Array<object>} [{ slug, makes: string[], entries: number }] sorted by entries
+ */
+export function findUncataloguedRepairs(repairSummary) {
+  return Object.entries(repairSummary)
+    .filter(([slug]) => !REPAIR_CATALOG[slug])
+    .map(([slug, item]) => ({ slug, makes: [...item.makes].sort(), entries: item.entries }))
+    .sort((a, b) => b.entries - a.entries);
+}
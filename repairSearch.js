@@ -0,0 +1,274 @@
+/**
+ * REPAIR SEARCH MODULE
+ * Free-text repair search ("AC not cold", "squeaky brakes", "check engine light")
+ *
+ * The index is built in memory from the repair catalog (titles, aliases,
+ * categories, descriptions) plus any uncatalogued slugs found in the pricing
+ * data. Queries are tokenized, stemmed, expanded with SYNONYMS and matched
+ * against the index vocabulary with prefix and edit-distance typo tolerance.
+ * No outside services are involved.
+ */
+
+import { REPAIR_CATALOG } from './repairCatalog.js';
+
+// Words that carry no meaning for matching
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'my', 'is', 'it', 'its', 'of', 'on', 'in', 'to', 'for', 'with',
+  'car', 'vehicle', 'not', 'no', 'wont', 'doesnt', 'dont', 'isnt', 'when', 'i', 'me',
+  'need', 'needs', 'have', 'has', 'getting', 'get', 'make', 'makes', 'making', 'very', 'really'
+]);
+
+// Customer wording → words used in the catalog (applied after stemming)
+export const SYNONYMS = {
+  aircon: ['ac'],
+  conditioning: ['ac'],
+  freon: ['recharge', 'ac'],
+  refrigerant: ['recharge', 'ac'],
+  regas: ['recharge'],
+  squeak: ['squeal', 'brake'],
+  squeal: ['brake'],
+  grind: ['grinding', 'brake'],
+  grinding: ['brake'],
+  cel: ['check', 'engine', 'light'],
+  mil: ['check', 'engine', 'light'],
+  tranny: ['transmission'],
+  trans: ['transmission'],
+  tyre: ['tire'],
+  overheat: ['overheating'],
+  hot: ['overheating'],
+  temp: ['thermostat', 'overheating'],
+  antifreeze: ['coolant'],
+  plug: ['spark'],
+  tuneup: ['spark', 'plug'],
+  heater: ['heat', 'thermostat'],
+  dead: ['battery'],
+  crank: ['start', 'starter'],
+  lube: ['oil'],
+  pads: ['pad'],
+  shake: ['vibration'],
+  shaking: ['vibration'],
+  wobble: ['vibration', 'balance'],
+  pulling: ['pull', 'alignment'],
+  windshield: ['wiper'],
+  smell: ['smell', 'leak'],
+  drip: ['leak'],
+  dripping: ['leak']
+};
+
+// Longer queries are cut here (each token is matched against the whole vocabulary)
+export const MAX_QUERY_LENGTH = 200;
+
+const FIELD_WEIGHTS = {
+  title: 3,
+  alias: 3,
+  slug: 2,
+  category: 1,
+  description: 1
+};
+
+// Index state (rebuilt by buildRepairSearchIndex)
+let postings = new Map();   // term → Map(slug → weight)
+let vocabulary = [];
+let phrases = [];           // [{ slug, phrase }] titles and aliases for whole-phrase bonus
+let documents = {};         // slug → title
+let titleTerms = {};        // slug → Set of title and slug terms (tie-breaks)
+
+/**
+ * Reduce a word to a rough stem (squeaky → squeak, brakes → brake, squealing → squeal)
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+  if (word.endsWith('ing')) return word.slice(0, -3);
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.endsWith('ed')) return word.slice(0, -2);
+  if (word.endsWith('es') && /(ch|sh|ss|x)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  if (word.endsWith('y')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into normalized, stemmed tokens
+ * @param {string} text - Free text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/a\/c/g, 'ac')
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+function normalizePhrase(text) {
+  return tokenize(text).join(' ');
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and adjacent
+ * transpositions ("chnage" → "change" is 1), with an early exit past `max`
+ * @returns {number} Distance, or max + 1 if larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function addTerms(slug, text, weight) {
+  for (const term of tokenize(text)) {
+    if (!postings.has(term)) postings.set(term, new Map());
+    const entry = postings.get(term);
+    entry.set(slug, Math.max(entry.get(slug) || 0, weight));
+  }
+}
+
+/**
+ * Build the in-memory search index
+ * @param {object} repairSummary - Priced slugs ({ slug: { title } }, see getRepairSummary()) - picks up slugs missing from the catalog
+ * @returns {object} { repairs: number, terms: number }
+ */
+export function buildRepairSearchIndex(repairSummary = {}) {
+  postings = new Map();
+  phrases = [];
+  documents = {};
+  titleTerms = {};
+
+  for (const [slug, entry] of Object.entries(REPAIR_CATALOG)) {
+    documents[slug] = entry.title;
+    addTerms(slug, entry.title, FIELD_WEIGHTS.title);
+    addTerms(slug, slug, FIELD_WEIGHTS.slug);
+    addTerms(slug, entry.category, FIELD_WEIGHTS.category);
+    addTerms(slug, entry.description, FIELD_WEIGHTS.description);
+    for (const alias of entry.aliases) {
+      addTerms(slug, alias, FIELD_WEIGHTS.alias);
+      phrases.push({ slug, phrase: normalizePhrase(alias) });
+    }
+    phrases.push({ slug, phrase: normalizePhrase(entry.title) });
+    titleTerms[slug] = new Set([...tokenize(entry.title), ...tokenize(slug)]);
+  }
+
+  // Uncatalogued slugs are still searchable by their data title and slug words
+  for (const [slug, repair] of Object.entries(repairSummary)) {
+    if (documents[slug]) continue;
+    documents[slug] = repair.title || slug;
+    addTerms(slug, documents[slug], FIELD_WEIGHTS.title);
+    addTerms(slug, slug, FIELD_WEIGHTS.slug);
+    phrases.push({ slug, phrase: normalizePhrase(documents[slug]) });
+    titleTerms[slug] = new Set([...tokenize(documents[slug]), ...tokenize(slug)]);
+  }
+
+  vocabulary = [...postings.keys()];
+
+  return { repairs: Object.keys(documents).length, terms: vocabulary.length };
+}
+
+/**
+ * Find index terms matching a query token (exact, prefix or within edit distance)
+ * @param {string} token - Stemmed query token
+ * @returns {Array<object>} [{ term, score }]
+ */
+function matchTerms(token) {
+  if (postings.has(token)) {
+    return [{ term: token, score: 1 }];
+  }
+
+  const maxEdits = token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+  const matches = [];
+
+  for (const term of vocabulary) {
+    if (token.length >= 3 && term.startsWith(token)) {
+      matches.push({ term, score: 0.8 });
+    } else if (maxEdits > 0) {
+      const distance = editDistance(token, term, maxEdits);
+      if (distance <= maxEdits) {
+        matches.push({ term, score: distance === 1 ? 0.7 : 0.5 });
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Search repairs by free text
+ * Equal scores are ordered by query words matched exactly (directly or via a
+ * synonym), then by matched words in the repair's own title, then by title.
+ * @param {string} query - Customer's description (cut to MAX_QUERY_LENGTH)
+ * @param {object} options - { allowedSlugs: string[] (restrict to a vehicle's repairs), limit: number }
+ * @returns {Array<object>} Ranked [{ slug, title, score, matchedTerms }]
+ */
+export function searchRepairs(query, { allowedSlugs = null, limit = 10 } = {}) {
+  const baseTokens = [...new Set(tokenize(String(query || '').slice(0, MAX_QUERY_LENGTH)))];
+  if (baseTokens.length === 0) return [];
+
+  const allowed = allowedSlugs ? new Set(allowedSlugs) : null;
+  const scores = new Map();   // slug → { score, matched: Set, covered: Set, exact: Set }
+
+  baseTokens.forEach((token, index) => {
+    const expansions = [token, ...(SYNONYMS[token] || []).map(stem)];
+
+    for (const [position, word] of expansions.entries()) {
+      // Synonym hits count a little less than the customer's own word
+      const expansionFactor = position === 0 ? 1 : 0.8;
+
+      for (const { term, score } of matchTerms(word)) {
+        for (const [slug, weight] of postings.get(term)) {
+          if (allowed && !allowed.has(slug)) continue;
+
+          const entry = scores.get(slug) || { score: 0, matched: new Set(), covered: new Set(), exact: new Set() };
+          entry.score += weight * score * expansionFactor;
+          entry.matched.add(term);
+          entry.covered.add(index);
+          if (score === 1) entry.exact.add(index);
+          scores.set(slug, entry);
+        }
+      }
+    }
+  });
+
+  // Whole-phrase bonus ("check engine light", "ac not cold"), matched on whole tokens
+  // so "ac" doesn't match inside "replace"
+  const queryPhrase = ` ${baseTokens.join(' ')} `;
+  for (const { slug, phrase } of phrases) {
+    const entry = scores.get(slug);
+    if (entry && phrase && (queryPhrase.includes(` ${phrase} `) || ` ${phrase} `.includes(queryPhrase))) {
+      entry.score += 5;
+    }
+  }
+
+  return [...scores.entries()]
+    .map(([slug, entry]) => ({
+      slug,
+      title: documents[slug] || slug,
+      // Reward results that explain more of the query
+      score: Math.round(entry.score * (entry.covered.size / baseTokens.length) * 100) / 100,
+      matchedTerms: [...entry.matched],
+      exactHits: entry.exact.size,
+      titleHits: [...entry.matched].filter(term => titleTerms[slug]?.has(term)).length
+    }))
+    .sort((a, b) => b.score - a.score || b.exactHits - a.exactHits || b.titleHits - a.titleHits || a.title.localeCompare(b.title))
+    .slice(0, limit)
+    .map(({ exactHits, titleHits, ...result }) => result);
+}
@@ -11,42 +11,125 @@
  * 
  * EXISTING FEATURES:
  * - Handles nested JSON structure {parts: {low, high}, labor: {low, high}}
- * - Applies regional multiplier to existing labor rates
+ * - Labor priced as book hours x local labor rate (or the shop's posted rate via `laborRate`)
+ * - Shop type (dealer / independent / chain) and parts grade (OEM / aftermarket) tiers from rates/shopTiers.json
+ * - Offline VIN decoding (check digit, model year, WMI + vin_patterns.json) as an alternative to year/make/model
+ * - Maintenance planner: priced service schedule from maintenance_schedules.json with yearly totals,
+ *   over `years` or `miles` of driving (default 5 years or 100k miles, whichever comes first)
+ * - Branded PDF pricing report for paid sessions, generated locally (pdfWriter.js)
+ * - Report emails on checkout completion (SMTP / file / console transport, retry queue with backoff)
  * - Available repairs endpoint (prevents "no data" scenarios)
  * - Production years endpoint (serves vehicle/year data to frontend)
  * - Smart labor rate calculations using getLaborRate() functions
+ * - Layered labor rates (ZIP3 → county → metro → state → region → national) from /rates
+ * - Hot reload of data/*.json and production_years.json (validated before swap)
+ * - Shop quote comparison (fair / high / very high verdicts with markup flags)
+ * - Makes loaded on demand through an LRU cache; pricing routes return 503 until the index is ready
+ * - Teaser vs full quote tiers: free responses get a rounded price band; the breakdown needs a paid session or API key
+ * - Token bucket rate limits per IP / API key and scrape detection on public routes (rate_limits.json)
  * 
  * SECURITY MODEL:
- * - Public endpoints (NO API key required):
+ * - Public endpoints (NO API key required; rate limited per IP, or per API key with the quote scope):
  *   - /api/production-years
  *   - /api/available-repairs/:year/:make/:model
+ *   - /api/available-repairs/vin/:vin
+ *   - /api/decode-vin/:vin
+ *   - /api/search-repairs/:year/:make/:model?q=
  *   - /api/quote
- * - Protected endpoints (API key required):
- *   - /api/create-checkout-session
- *   - /api/session/:sessionId
+ *   - /api/estimate
+ *   - /api/compare-quote
+ *   - /api/maintenance-plan
+ *   - Pricing routes (quote, estimate, compare-quote, maintenance-plan) answer with a teaser (price band only)
+ *     unless the body carries a paid `sessionId` for the same vehicle, repair(s) and ZIP, or x-authkey has the quote scope;
+ *     teasers ignore laborRate, shopType, partsGrade and inflation
+ * - Protected endpoints (x-authkey header: a managed API key with the scope shown - see apiKeys.js):
+ *   - /api/create-checkout-session (checkout)
+ *   - /api/session/:sessionId (session)
+ *   - /api/session/:sessionId/report.pdf (session; only once payment_status is 'paid')
+ *   - /api/data-report (quote)
+ *   - /api/pricing-history/:year/:make/:model/:repair (quote)
+ * - Admin endpoints (x-authkey with the admin scope, or x-admin-key matching ADMIN_API_KEY; x-admin-user names the actor):
+ *   - GET/POST /api/admin/overrides, DELETE /api/admin/overrides/:id
+ *   - GET /api/admin/audit
+ *   - POST /api/admin/rates/reload
+ *   - GET /api/admin/emails, POST /api/admin/orders/:sessionId/resend-email
+ *   - GET/POST /api/admin/api-keys, POST /api/admin/api-keys/:id/rotate, DELETE /api/admin/api-keys/:id
+ * - API keys are stored hashed in STORE_DIR/api_keys.json; bootstrap them with `npm run api-keys`
  * 
  * ENVIRONMENT VARIABLES REQUIRED:
  * - STRIPE_SECRET_KEY: Your Stripe secret key (sk_test_... or sk_live_...)
  * - FRONTEND_URL: Your website URL (e.g., https://fairrepairauto.com)
  * - PORT: Server port (default: 3000, Render sets automatically)
+ * - STRIPE_WEBHOOK_SECRET: Signing secret for /api/webhook (whsec_...)
+ * - STORE_DIR: Directory for the order store (default: ./store)
+ * - RATES_DIR: Directory holding the labor rate tables (default: ./rates)
+ * - LABOR_RATE_MODE: 'blend' (distance-weighted metro rates) or 'step' (metro boundary); overrides metros.json
+ * - QUOTE_SIGNING_SECRET: HMAC secret for quote snapshots (default: STRIPE_SECRET_KEY; one of them is required unless NODE_ENV is development)
+ * - DATA_VALIDATION: 'lenient' (quarantine bad pricing entries, default) or 'strict' (refuse to start)
+ * - DATA_WATCH: set to '0' to disable hot reload of /data, production_years.json and the /rates labor tables
+ * - DATA_CACHE_DIR: Directory for the validated pricing index and snapshots (default: ./.data-cache)
+ * - DATA_CACHE_MAKES: How many makes to keep parsed in memory (default: 6)
+ * - INFLATION_ADJUST: set to '1' to project quotes to today by default (rates/inflation.json)
+ * - RATE_LIMIT: set to '0' to turn off rate limiting and scrape detection
+ * - TRUST_PROXY: Proxy hops in front of the app, for the client IP (default: none - set to 1 behind Render's proxy)
+ * - ADMIN_API_KEY: Break-glass key for the /api/admin endpoints (otherwise only admin-scoped API keys get in)
+ * - EMAIL_TRANSPORT: 'smtp', 'file' or 'console' (default: 'smtp' when SMTP_HOST is set, otherwise 'file')
+ * - SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS: SMTP server (port default 587, STARTTLS when offered)
+ * - SMTP_SECURE: '1' for implicit TLS (default for port 465)
+ * - EMAIL_FROM: Sender for report emails (default: Fair Repair Auto <reports@fairrepairauto.com>)
+ * - EMAIL_OUTBOX_DIR: Where the file transport writes .eml files (default: STORE_DIR/outbox)
+ * - EMAIL_ATTACH_REPORT: set to '0' to link the report instead of attaching the PDF
  * 
  * STRIPE INTEGRATION FLOW:
- * 1. Frontend calls /api/quote to verify pricing available
- * 2. Frontend calls /api/create-checkout-session with vehicle/repair data
- * 3. Backend creates Stripe Checkout Session with metadata
+ * 1. Frontend calls /api/quote to verify pricing available (teaser: price band only)
+ * 2. Frontend calls /api/create-checkout-session with vehicle/repair/zip
+ * 3. Backend reprices the repair, signs the quote snapshot and creates a Stripe Checkout Session
  * 4. User redirects to Stripe's hosted checkout page
  * 5. After payment, Stripe redirects to /success?session_id=xxx
- * 6. Success page calls /api/session/:sessionId to retrieve pricing data
- * 7. Pricing report displays to user
+ * 6. Webhook (checkout.session.completed) marks the stored order as paid and queues the report email
+ * 7. Success page calls /api/session/:sessionId to retrieve pricing data from the order store
+ * 8. Pricing report displays to user
  */
 
 import express from 'express';
 import cors from 'cors';
 import Stripe from 'stripe';
-import fs from 'fs/promises';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { getLaborRate, getLaborMultiplier, NATIONAL_AVERAGE } from './laborRates.js';
+import { computeQuote, computeEstimate, createQuoteSnapshot, signQuote, verifyQuote } from './quoteEngine.js';
+import { compareShopQuote } from './quoteComparison.js';
+import { getCentroidCount } from './zipCentroids.js';
+import { getRateTables, reloadLaborRateTables, watchLaborRateTables } from './laborRateTables.js';
+import { describeRepair, findUncataloguedRepairs, REPAIR_CATEGORIES } from './repairCatalog.js';
+import { buildRepairSearchIndex, searchRepairs, MAX_QUERY_LENGTH } from './repairSearch.js';
+import { resolvePricingSource } from './vehicleFallback.js';
+import { formatValidationReport } from './dataValidator.js';
+import {
+  loadPricingData,
+  loadVehicleData,
+  isDataReady,
+  getProductionYears,
+  getRepairSummary,
+  getDataReport,
+  getDataVersion,
+  onPricingDataReload,
+  watchPricingData
+} from './pricingData.js';
+import { initOverrideStore, listOverrides, createOverride, deleteOverride, readAuditLog, OVERRIDE_TYPES } from './pricingOverrides.js';
+import { initPricingHistory, getHistoryStats, getRepairHistory } from './pricingHistory.js';
+import { getInflationConfig, getInflationFactors } from './inflation.js';
+import { getShopTierConfig } from './shopTiers.js';
+import { getLaborOverlapConfig } from './laborOverlap.js';
+import { decodeVin } from './vinDecoder.js';
+import { planMaintenance, getMaintenanceSchedules, getServiceIntervals } from './maintenancePlanner.js';
+import { buildPricingReport } from './pricingReport.js';
+import { initOrderStore, getOrder, saveOrder, recordCheckoutCompleted, markEventProcessed, quoteFromMetadata, STORE_DIR } from './orderStore.js';
+import { createTransport, transportConfigFromEnv } from './mailTransport.js';
+import { initEmailDelivery, enqueueReportEmail, listEmailJobs } from './emailDelivery.js';
+import { createRateLimiter, getRateLimitConfig } from './rateLimiter.js';
+import { teaserQuote, teaserEstimate, teaserComparison, teaserMaintenancePlan, orderCoversRequest } from './quoteTiers.js';
+import { initApiKeys, authenticateApiKey, findApiKey, listApiKeys, createApiKey, rotateApiKey, revokeApiKey } from './apiKeys.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -54,6 +137,10 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Client IPs come from X-Forwarded-For only when TRUST_PROXY says a proxy sets it
+// (used for rate limits - trusting it by default would let clients pick their own IP)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY ?? '0') || false);
+
 // ============================================================
 // STRIPE INITIALIZATION
 // ============================================================
@@ -61,6 +148,10 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_YOUR_SECRET_
   apiVersion: '2024-12-18.acacia',
 });
 
+// Report pricing (cents): the first repair is the full report, each extra repair is an add-on
+const REPORT_PRICE_CENTS = 999;
+const ADDITIONAL_REPAIR_PRICE_CENTS = parseInt(process.env.ADDITIONAL_REPAIR_PRICE_CENTS) || 499;
+
 // ============================================================
 // CORS CONFIGURATION
 // ============================================================
@@ -75,29 +166,154 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'x-Authkey', 'x-authkey']
+  allowedHeaders: ['Content-Type', 'x-Authkey', 'x-authkey'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
-app.use(express.json());
+// Webhook needs the raw body for Stripe signature verification
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  if (req.originalUrl === '/api/webhook') return next();
+  jsonParser(req, res, next);
+});
+
+// ============================================================
+// API KEY VALIDATION MIDDLEWARE (Managed keys, one scope per route)
+// ============================================================
+const validateApiKey = (scope) => (req, res, next) => {
+  const result = authenticateApiKey(req.headers['x-authkey'], scope);
+  
+  if (!result.ok) {
+    return res.status(result.status).json({ ok: false, error: result.error });
+  }
+  req.apiKey = result.key;
+  next();
+};
+
+// ============================================================
+// ADMIN KEY VALIDATION MIDDLEWARE (Admin-scoped API key or ADMIN_API_KEY)
+// ============================================================
+const validateAdminKey = (req, res, next) => {
+  if (req.headers['x-authkey']) {
+    return validateApiKey('admin')(req, res, () => {
+      // Recorded in the audit log
+      req.adminActor = String(req.headers['x-admin-user'] || `key:${req.apiKey.name}`).slice(0, 100);
+      next();
+    });
+  }
+  
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ ok: false, error: 'Admin API not configured' });
+  }
+  
+  const provided = Buffer.from(String(req.headers['x-admin-key'] || ''));
+  const expected = Buffer.from(adminKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ ok: false, error: 'Invalid admin key' });
+  }
+  
+  // Recorded in the audit log
+  req.adminActor = String(req.headers['x-admin-user'] || 'admin').slice(0, 100);
+  next();
+};
 
 // ============================================================
-// API KEY VALIDATION MIDDLEWARE
+// RATE LIMITING (Public routes - policies in rate_limits.json)
 // ============================================================
-const validateApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-authkey'];
-  const validKey = 'fe37dba23fba11f0931f0242ac120002';
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT !== '0';
+
+const rateLimiter = createRateLimiter({
+  onScrape: (client, { vehicles, zips, windowMinutes, blockMinutes }) => {
+    console.log(`🚫 Scrape pattern from ${client.id}: ${vehicles} vehicles, ${zips} ZIPs in ${windowMinutes} min - blocked for ${blockMinutes} min`);
+  }
+});
+
+// Callers with a quote-scoped key get the key's limits; anything else counts against the IP
+function rateLimitClient(req) {
+  if (req.headers['x-authkey']) {
+    // Picks the bucket only - usage is counted where the key is actually used
+    const result = findApiKey(req.headers['x-authkey'], 'quote');
+    if (result.ok) {
+      return { id: `key:${result.key.id}`, type: 'apiKey' };
+    }
+  }
+  return { id: `ip:${req.ip}`, type: 'ip' };
+}
+
+// Vehicle and ZIP a request asks about (scrape detection)
+function rateLimitSignals(req) {
+  const source = { ...req.query, ...req.body, ...req.params };
+  const vehicle = source.vin
+    ? `vin:${String(source.vin).toUpperCase()}`
+    : (source.year && source.make && source.model ? `${normYear(source.year)}|${norm(source.make)}|${norm(source.model)}` : null);
+  return { vehicle, zip: source.zip ? String(source.zip).trim().slice(0, 5) : null };
+}
+
+const rateLimit = (policy) => async (req, res, next) => {
+  if (!RATE_LIMIT_ENABLED) return next();
   
-  if (apiKey !== validKey) {
-    return res.status(401).json({ ok: false, error: 'Invalid API key' });
+  let result;
+  try {
+    result = await rateLimiter.check(rateLimitClient(req), policy, rateLimitSignals(req));
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds)
+    });
+    
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({
+        ok: false,
+        error: result.reason === 'scrape'
+          ? 'Too many different vehicles or locations requested - try again later'
+          : 'Too many requests - slow down and try again shortly',
+        retryAfter: result.retryAfterSeconds
+      });
+    }
+    
+  } catch (error) {
+    return next(error);
   }
+  
+  // Outside the try: a throw further down the chain must not call next() a second time
   next();
 };
 
 // ============================================================
-// DATA STORAGE
+// READINESS GATE (Pricing routes wait for the data index)
 // ============================================================
-let productionYears = {};
-let vehicleData = {};
+const requireDataReady = (req, res, next) => {
+  if (!isDataReady()) {
+    res.set('Retry-After', '5');
+    return res.status(503).json({ ok: false, error: 'Pricing data is loading, try again shortly' });
+  }
+  next();
+};
+
+// ============================================================
+// DATA STORAGE (Pricing is loaded per make on demand - see pricingData.js)
+// ============================================================
+const DATA_VALIDATION_MODE = process.env.DATA_VALIDATION || 'lenient';
+const DATA_WATCH = process.env.DATA_WATCH !== '0';
+
+// Derived from the pricing data - rebuilt on startup and after every hot reload
+function indexRepairs() {
+  // Every slug should have a catalog entry (title, category, description)
+  const uncatalogued = findUncataloguedRepairs(getRepairSummary());
+  if (uncatalogued.length > 0) {
+    console.warn(`  ⚠️  ${uncatalogued.length} repair slugs missing from repairCatalog.js:`);
+    for (const { slug, makes, entries } of uncatalogued) {
+      console.warn(`     - ${slug} (${entries} entries; ${makes.join(', ')})`);
+    }
+  } else {
+    console.log('  ✅ Repair catalog: all repair slugs catalogued');
+  }
+  
+  const searchIndex = buildRepairSearchIndex(getRepairSummary());
+  console.log(`  ✅ Repair search: ${searchIndex.repairs} repairs, ${searchIndex.terms} terms indexed`);
+}
 
 // ============================================================
 // LOAD DATA FILES ON STARTUP
@@ -106,25 +322,59 @@ async function loadData() {
   try {
     console.log('📂 Loading data files...');
     
-    // Load production years from root
-    productionYears = JSON.parse(await fs.readFile(path.join(__dirname, 'production_years.json'), 'utf-8'));
-    console.log(`  ✅ Production years: ${Object.keys(productionYears).length} makes`);
-    
-    // Load all make.json files from /data folder
-    const dataDir = path.join(__dirname, 'data');
-    const files = await fs.readdir(dataDir);
-    const makeFiles = files.filter(f => f.endsWith('.json'));
-    
-    for (const file of makeFiles) {
-     const makeName = file.replace('.json', '');
-     const fileContent = await fs.readFile(path.join(dataDir, file), 'utf-8');
-     const parsed = JSON.parse(fileContent);
-     // Handle both formats: direct object or {data: {...}}
-     vehicleData[makeName] = parsed.data || parsed;
-   }
-    
-    console.log(`  ✅ Vehicle data: ${makeFiles.length} makes loaded from /data folder`);
-    console.log(`  ✅ Labor rates: Using getLaborRate() from laborRates.js`);
+    // Validate production_years.json and data/*.json (strict refuses to start,
+    // lenient leaves bad entries out and reports them)
+    await initPricingHistory();
+    const dataReport = await loadPricingData(__dirname, { mode: DATA_VALIDATION_MODE });
+    for (const line of formatValidationReport(dataReport)) {
+      console.log(`  ${line}`);
+    }
+    if (!dataReport.ok && DATA_VALIDATION_MODE === 'strict') {
+      console.error('❌ Data validation failed (DATA_VALIDATION=strict) - refusing to start');
+      process.exit(1);
+    }
+    
+    console.log(`  ✅ Production years: ${Object.keys(getProductionYears()).length} makes`);
+    console.log(`  ✅ Vehicle data: ${Object.keys(getDataVersion().makes).length} makes indexed from /data folder (loaded on demand, ${getDataVersion().cache.capacity} cached)`);
+    
+    indexRepairs();
+    const history = getHistoryStats();
+    console.log(`  ✅ Pricing history: ${history.generations} generations of ${history.makes} makes on record`);
+    const inflationConfig = getInflationConfig();
+    console.log(`  ✅ Inflation index: parts ${inflationConfig.annualRates.parts * 100}%/yr, labor ${inflationConfig.annualRates.labor * 100}%/yr (${process.env.INFLATION_ADJUST === '1' ? 'on' : 'opt-in'})`);
+    const shopTiers = getShopTierConfig();
+    console.log(`  ✅ Shop tiers: ${Object.keys(shopTiers.shopTypes).join('/')} x ${Object.keys(shopTiers.partsGrades).join('/')} (${Object.keys(shopTiers.makeOverrides).length} make overrides)`);
+    console.log(`  ✅ Labor overlap: ${getLaborOverlapConfig().rules.length} bundled-repair rules`);
+    const rateLimits = getRateLimitConfig();
+    const pricingLimits = rateLimits.policies.pricing.ip;
+    console.log(`  ✅ Rate limits: ${RATE_LIMIT_ENABLED ? `pricing ${pricingLimits.capacity} burst / ${pricingLimits.refillPerMinute} per min per IP` : 'off'}${rateLimits.scrape ? `, scrape block past ${rateLimits.scrape.maxDistinctVehicles} vehicles / ${rateLimits.scrape.windowMinutes} min` : ''}`);
+    const maintenance = getMaintenanceSchedules();
+    console.log(`  ✅ Maintenance schedules: ${Object.keys(maintenance.default).length} default items, ${Object.keys(maintenance.makes).length} make tables`);
+    const rateTables = getRateTables();
+    console.log(`  ✅ Labor rates: ${Object.keys(rateTables.metros).length} metros, ${Object.keys(rateTables.counties).length} counties, ${Object.keys(rateTables.zip3).length} ZIP3 prefixes, ${Object.keys(rateTables.states).length} state survey rates (/rates, ${rateTables.blending.mode} mode)`);
+    console.log(`  ✅ ZIP centroids: ${getCentroidCount()} ZCTAs from zip_centroids.csv`);
+    
+    if (DATA_WATCH) {
+      onPricingDataReload(indexRepairs);
+      watchPricingData((result) => {
+        if (result.ok) {
+          console.log(`🔄 Reloaded ${result.file} (${result.generatedAt || `${result.makes} makes`})`);
+        } else {
+          console.error(`❌ Reload of ${result.file} rejected: ${result.error}`);
+          for (const issue of result.errors || []) {
+            console.error(`     ${issue.path}: ${issue.message}`);
+          }
+        }
+      });
+      watchLaborRateTables((result) => {
+        if (result.ok) {
+          console.log(`🔄 Reloaded labor rates from ${result.file} (${result.counts.metros} metros, ${result.counts.counties} counties, ${result.counts.zip3} ZIP3 prefixes)`);
+        } else {
+          console.error(`❌ Reload of ${result.file} rejected: ${result.error}`);
+        }
+      });
+      console.log('  👀 Watching /data, production_years.json and /rates for changes');
+    }
     console.log('✅ All data files loaded successfully\n');
     
   } catch (error) {
@@ -136,6 +386,53 @@ async function loadData() {
 
 loadData();
 
+// ============================================================
+// ORDER STORE (Paid reports, keyed by Stripe session ID)
+// ============================================================
+// The email queue reads orders, so it starts once the store is loaded.
+// The server only starts listening once every store below is ready.
+const orderStoreReady = initOrderStore()
+  .then(({ orders, processedEvents }) => {
+    console.log(`  ✅ Order store: ${orders} orders, ${processedEvents} webhook events (${STORE_DIR})`);
+    
+    const frontendUrl = process.env.FRONTEND_URL || 'https://fairrepairauto.com';
+    return initEmailDelivery({
+      transport: createTransport(transportConfigFromEnv(path.join(STORE_DIR, 'outbox'))),
+      from: process.env.EMAIL_FROM || 'Fair Repair Auto <reports@fairrepairauto.com>',
+      renderReport: (order) => buildPricingReport(order, { verified: isQuoteVerified(order) }),
+      reportUrl: (order) => `${frontendUrl}/success?session_id=${encodeURIComponent(order.sessionId)}`,
+      attachReport: process.env.EMAIL_ATTACH_REPORT !== '0'
+    });
+  })
+  .then(({ pending, transport }) => {
+    console.log(`  ✅ Report emails: ${transport} transport, ${pending} pending`);
+  })
+  .catch((error) => {
+    console.error('❌ Error loading order store or email queue:', error);
+    process.exit(1);
+  });
+
+const apiKeysReady = initApiKeys()
+  .then(({ keys, active }) => {
+    console.log(`  ✅ API keys: ${active} active of ${keys}`);
+    if (active === 0) {
+      console.log('  ⚠️  No active API keys - protected routes reject every request (npm run api-keys -- create ...)');
+    }
+  })
+  .catch((error) => {
+    console.error('❌ Error loading API keys:', error);
+    process.exit(1);
+  });
+
+const overrideStoreReady = initOverrideStore()
+  .then(({ overrides }) => {
+    console.log(`  ✅ Pricing overrides: ${overrides} active`);
+  })
+  .catch((error) => {
+    console.error('❌ Error loading pricing overrides:', error);
+    process.exit(1);
+  });
+
 // ============================================================
 // HELPER FUNCTIONS
 // ============================================================
@@ -147,6 +444,38 @@ function normYear(year) {
   return String(year || '').trim();
 }
 
+// Opt-in flag for nearest-year / sibling-model pricing (body `fallback: true` or `?fallback=1`)
+function wantsFallback(value) {
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+// Opt-in projection of stale pricing to today (body `inflation: true`); INFLATION_ADJUST=1 makes it the default
+function wantsInflation(value) {
+  if (value === undefined || value === null) return process.env.INFLATION_ADJUST === '1';
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+// Year/make/model from a VIN when one is given instead ({ vehicle } or { error, vin })
+function vehicleFromVin(vin) {
+  const decoded = decodeVin(vin, getProductionYears());
+  if (!decoded.ok) {
+    return { error: decoded.error, vin: decoded };
+  }
+  if (!decoded.make || !decoded.model) {
+    return { error: 'Could not identify the model from this VIN - choose it from the candidates', vin: decoded };
+  }
+  return { vehicle: { year: decoded.year, make: decoded.make, model: decoded.model }, vin: decoded };
+}
+
+// Request body vehicle: explicit year/make/model, or decoded from `vin`
+function bodyVehicle(body) {
+  const { year, make, model, vin } = body;
+  if (vin && !(year && make && model)) {
+    return vehicleFromVin(vin);
+  }
+  return { vehicle: { year, make, model }, vin: null };
+}
+
 // ============================================================
 // HEALTH CHECK ENDPOINT
 // ============================================================
@@ -162,12 +491,28 @@ app.get('/', (req, res) => {
       health: '/',
       production_years: '/api/production-years',
       available_repairs: '/api/available-repairs/:year/:make/:model',
+      available_repairs_by_vin: '/api/available-repairs/vin/:vin',
+      decode_vin: '/api/decode-vin/:vin',
+      search_repairs: '/api/search-repairs/:year/:make/:model?q=',
       quote: '/api/quote (POST)',
+      estimate: '/api/estimate (POST)',
+      compare_quote: '/api/compare-quote (POST)',
+      maintenance_plan: '/api/maintenance-plan (POST)',
       create_checkout: '/api/create-checkout-session (POST)',
       get_session: '/api/session/:sessionId',
+      session_report: '/api/session/:sessionId/report.pdf',
+      data_report: '/api/data-report',
+      pricing_history: '/api/pricing-history/:year/:make/:model/:repair',
+      admin_overrides: '/api/admin/overrides (GET, POST, DELETE /:id)',
+      admin_audit: '/api/admin/audit',
+      admin_rates_reload: '/api/admin/rates/reload (POST)',
+      admin_emails: '/api/admin/emails',
+      admin_resend_email: '/api/admin/orders/:sessionId/resend-email (POST)',
+      admin_api_keys: '/api/admin/api-keys (GET, POST, POST /:id/rotate, DELETE /:id)',
       webhook: '/api/webhook (POST)'
     },
     stripe: stripeConfigured ? 'configured' : 'not configured',
+    data: getDataVersion(),
     environment: process.env.NODE_ENV || 'development',
     timestamp: new Date().toISOString()
   });
@@ -176,219 +521,517 @@ app.get('/', (req, res) => {
 // ============================================================
 // GET PRODUCTION YEARS (For Frontend Vehicle Dropdowns)
 // ============================================================
-app.get('/api/production-years', (req, res) => {
+app.get('/api/production-years', rateLimit('catalog'), requireDataReady, (req, res) => {
   res.json({
     ok: true,
-    data: productionYears,
-    count: Object.keys(productionYears).length
+    data: getProductionYears(),
+    count: Object.keys(getProductionYears()).length
   });
 });
 
+// ============================================================
+// DATA VALIDATION REPORT (Errors, warnings and coverage gaps per make)
+// ============================================================
+app.get('/api/data-report', validateApiKey('quote'), (req, res) => {
+  const dataReport = getDataReport();
+  if (!dataReport) {
+    return res.status(503).json({ ok: false, error: 'Data is still loading' });
+  }
+  res.json({ ok: true, report: dataReport, version: getDataVersion() });
+});
+
 // ============================================================
 // GET AVAILABLE REPAIRS FOR A VEHICLE
 // ============================================================
-app.get('/api/available-repairs/:year/:make/:model', (req, res) => {
-  const year = normYear(req.params.year);
-  const make = norm(req.params.make);
-  const model = norm(req.params.model);
+app.get('/api/available-repairs/:year/:make/:model', rateLimit('catalog'), requireDataReady, (req, res) => {
+  sendAvailableRepairs(req, res, req.params);
+});
+
+app.get('/api/available-repairs/vin/:vin', rateLimit('catalog'), requireDataReady, (req, res) => {
+  const { vehicle, vin, error } = vehicleFromVin(req.params.vin);
+  if (error) {
+    console.log(`  ❌ VIN ${req.params.vin}: ${error}`);
+    return res.json({ ok: false, error, vin, repairs: [], count: 0 });
+  }
+  sendAvailableRepairs(req, res, vehicle, vin);
+});
+
+async function sendAvailableRepairs(req, res, vehicle, decodedVin = null) {
+  const year = normYear(vehicle.year);
+  const make = norm(vehicle.make);
+  const model = norm(vehicle.model);
   
-  console.log(`🔍 Available repairs request: ${year} ${make} ${model}`);
+  console.log(`🔍 Available repairs request: ${year} ${make} ${model}${decodedVin ? ` (VIN ${decodedVin.vin})` : ''}`);
   
-  const makeData = vehicleData[make];
-  if (!makeData) {
-    console.log(`  ❌ Make not found: ${make}`);
-    return res.json({ ok: false, error: 'Make not found', repairs: [], count: 0 });
+  const fallback = wantsFallback(req.query.fallback);
+  let resolved;
+  try {
+    const vehicleData = await loadVehicleData(make, model, { fallback });
+    resolved = resolvePricingSource(vehicleData, getProductionYears(), { year, make, model }, { fallback });
+  } catch (error) {
+    console.error('❌ Available repairs error:', error);
+    return res.status(500).json({ ok: false, error: 'Pricing data unavailable', repairs: [], count: 0 });
   }
   
-  const modelData = makeData[model];
-  if (!modelData) {
-    console.log(`  ❌ Model not found: ${model}`);
-    return res.json({ ok: false, error: 'Model not found', repairs: [], count: 0 });
+  if (resolved.error) {
+    console.log(`  ❌ ${resolved.error}: ${year} ${make} ${model}`);
+    return res.json({ ok: false, error: resolved.error, repairs: [], count: 0 });
   }
   
-  const yearData = modelData[year];
-  if (!yearData) {
-    console.log(`  ❌ Year not found: ${year}`);
-    return res.json({ ok: false, error: 'Year not found', repairs: [], count: 0 });
+  const { yearData, pricingSource } = resolved;
+  if (pricingSource.derived) {
+    console.log(`  ↪️  ${pricingSource.note}`);
   }
   
   const repairSlugs = Object.keys(yearData);
   console.log(`  ✅ Found ${repairSlugs.length} repairs`);
   
+  const details = repairSlugs.map(slug => describeRepair(slug, yearData[slug].title));
+  
+  // Group slugs by catalog category, in catalog order
+  const categories = [...REPAIR_CATEGORIES, 'Other']
+    .map(name => ({ name, repairs: details.filter(item => item.category === name).map(item => item.slug) }))
+    .filter(category => category.repairs.length > 0);
+  
   res.json({
     ok: true,
     repairs: repairSlugs,
+    details,
+    categories,
     count: repairSlugs.length,
+    pricingSource,
+    vehicle: { year, make, model },
+    ...(decodedVin && { vin: decodedVin })
+  });
+}
+
+// ============================================================
+// DECODE A VIN (Year/Make/Model Without Typing Them)
+// ============================================================
+app.get('/api/decode-vin/:vin', rateLimit('catalog'), requireDataReady, (req, res) => {
+  const decoded = decodeVin(req.params.vin, getProductionYears());
+  
+  if (decoded.ok) {
+    console.log(`🚘 VIN ${decoded.vin}: ${decoded.year} ${decoded.make || '?'} ${decoded.model || '?'}`);
+  } else {
+    console.log(`🚘 VIN ${req.params.vin}: ${decoded.error}`);
+  }
+  
+  res.status(decoded.ok ? 200 : 400).json(decoded);
+});
+
+// ============================================================
+// SEARCH REPAIRS BY FREE TEXT (e.g. "AC not cold")
+// ============================================================
+app.get('/api/search-repairs/:year/:make/:model', rateLimit('catalog'), requireDataReady, async (req, res) => {
+  const year = normYear(req.params.year);
+  const make = norm(req.params.make);
+  const model = norm(req.params.model);
+  const query = String(req.query.q || '').trim();
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+  
+  console.log(`🔎 Repair search: ${year} ${make} ${model} - "${query}"`);
+  
+  if (!query) {
+    return res.json({ ok: false, error: 'Missing search query (q)', results: [], count: 0 });
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    return res.status(400).json({ ok: false, error: `Search query is too long (max ${MAX_QUERY_LENGTH} characters)`, results: [], count: 0 });
+  }
+  
+  let vehicleData;
+  try {
+    vehicleData = await loadVehicleData(make, model);
+  } catch (error) {
+    console.error('❌ Repair search error:', error);
+    return res.status(500).json({ ok: false, error: 'Pricing data unavailable', results: [], count: 0 });
+  }
+  
+  const yearData = vehicleData[make]?.[model]?.[year];
+  if (!yearData) {
+    const error = !vehicleData[make] ? 'Make not found' : !vehicleData[make][model] ? 'Model not found' : 'Year not found';
+    console.log(`  ❌ ${error}`);
+    return res.json({ ok: false, error, results: [], count: 0 });
+  }
+  
+  const results = searchRepairs(query, { allowedSlugs: Object.keys(yearData), limit })
+    .map(result => ({ ...describeRepair(result.slug, yearData[result.slug].title), score: result.score, matchedTerms: result.matchedTerms }));
+  
+  console.log(`  ✅ ${results.length} matches`);
+  
+  res.json({
+    ok: true,
+    query,
+    results,
+    count: results.length,
     vehicle: { year, make, model }
   });
 });
 
+// ============================================================
+// QUOTE ACCESS TIER (Teaser unless paid for or API-key entitled)
+// ============================================================
+// `request` is what is being priced: { year, make, model, repairSlugs, zip }
+// Only the local order store is consulted - public routes never call Stripe
+function resolveQuoteAccess(req, request) {
+  if (req.headers['x-authkey'] && authenticateApiKey(req.headers['x-authkey'], 'quote').ok) {
+    return { tier: 'full', via: 'api-key' };
+  }
+  
+  const { sessionId } = req.body;
+  if (!sessionId) {
+    return { tier: 'teaser' };
+  }
+  
+  // Paid status comes from the webhook, or from /api/session/:sessionId confirming with Stripe
+  const order = getOrder(String(sessionId));
+  if (!order) {
+    return { tier: 'teaser', reason: 'Unknown checkout session' };
+  }
+  const covered = orderCoversRequest(order, request);
+  return covered.ok ? { tier: 'full', via: 'session' } : { tier: 'teaser', reason: covered.reason };
+}
+
+// Teasers are priced at the default tier and local rate: varying these inputs
+// against the price band would reveal the parts/labor split
+function pricingInputs(access, { laborRate, shopType, partsGrade, inflation }) {
+  return access.tier === 'full'
+    ? { laborRate, shopType, partsGrade, inflation }
+    : { laborRate: null, shopType: undefined, partsGrade: undefined, inflation: undefined };
+}
+
 // ============================================================
 // GET PRICING QUOTE (Verify Data Available Before Payment)
 // ============================================================
-app.post('/api/quote', async (req, res) => {
-  const { year, make, model, repairSlug, zip } = req.body;
+app.post('/api/quote', rateLimit('pricing'), requireDataReady, async (req, res) => {
+  const { repairSlug, zip, laborRate, shopType, partsGrade, fallback, inflation } = req.body;
+  const { vehicle, vin, error: vinError } = bodyVehicle(req.body);
+  if (vinError) {
+    return res.json({ ok: false, error: vinError, vin });
+  }
+  const { year, make, model } = vehicle;
   
   console.log(`💰 Quote request: ${year} ${make} ${model} - ${repairSlug} (ZIP: ${zip})`);
   
   try {
-    // Normalize inputs
-    const normMake = norm(make);
-    const normModel = norm(model);
-    const normYearValue = normYear(year);
-    const normRepair = norm(repairSlug);
-    
-    // Get vehicle data
-    const makeData = vehicleData[normMake];
-    if (!makeData) {
-      return res.json({ ok: false, error: 'Make not found' });
+    const access = resolveQuoteAccess(req, { year, make, model, repairSlugs: [repairSlug], zip });
+    const inputs = pricingInputs(access, { laborRate, shopType, partsGrade, inflation });
+    
+    const vehicleData = await loadVehicleData(norm(make), norm(model), { fallback: wantsFallback(fallback) });
+    const quote = computeQuote(vehicleData, { year, make, model, repairSlug, zip, laborRate: inputs.laborRate, shopType: inputs.shopType, partsGrade: inputs.partsGrade }, {
+      fallback: wantsFallback(fallback),
+      productionYears: getProductionYears(),
+      inflation: wantsInflation(inputs.inflation),
+      dataVersions: getDataVersion().makes
+    });
+    
+    if (!quote.ok) {
+      return res.json(vin ? { ...quote, vin } : quote);
     }
     
-    const modelData = makeData[normModel];
-    if (!modelData) {
-      return res.json({ ok: false, error: 'Model not found' });
+    console.log(`  ✅ Quote calculated: $${quote.price.low}-$${quote.price.high} (${access.tier})`);
+    
+    const body = access.tier === 'full' ? { ...quote, access } : teaserQuote(quote, access);
+    res.json(vin ? { ...body, vin } : body);
+    
+  } catch (error) {
+    console.error('❌ Quote error:', error);
+    res.json({ ok: false, error: error.message });
+  }
+});
+
+// ============================================================
+// COMPARE A SHOP QUOTE ("Is my mechanic's quote fair?")
+// ============================================================
+app.post('/api/compare-quote', rateLimit('pricing'), requireDataReady, async (req, res) => {
+  const { repairSlug, zip, shopType, partsGrade, fallback, inflation, shopQuote } = req.body;
+  const { vehicle, vin, error: vinError } = bodyVehicle(req.body);
+  if (vinError) {
+    return res.json({ ok: false, error: vinError, vin });
+  }
+  const { year, make, model } = vehicle;
+  
+  console.log(`⚖️  Quote comparison: ${year} ${make} ${model} - ${repairSlug} (ZIP: ${zip})`);
+  
+  if (!shopQuote || typeof shopQuote !== 'object') {
+    return res.status(400).json({ ok: false, error: 'Missing shopQuote ({ parts, labor or laborHours, total })' });
+  }
+  
+  try {
+    const access = resolveQuoteAccess(req, { year, make, model, repairSlugs: [repairSlug], zip });
+    const inputs = pricingInputs(access, { shopType, partsGrade, inflation });
+    
+    const vehicleData = await loadVehicleData(norm(make), norm(model), { fallback: wantsFallback(fallback) });
+    const quote = computeQuote(vehicleData, { year, make, model, repairSlug, zip, shopType: inputs.shopType, partsGrade: inputs.partsGrade }, {
+      fallback: wantsFallback(fallback),
+      productionYears: getProductionYears(),
+      inflation: wantsInflation(inputs.inflation),
+      dataVersions: getDataVersion().makes
+    });
+    
+    if (!quote.ok) {
+      return res.json(quote);
     }
     
-    const yearData = modelData[normYearValue];
-    if (!yearData) {
-      return res.json({ ok: false, error: 'Year not found' });
+    // Hours without the shop's own rate would be priced at our local rate - not for teasers
+    const shopInput = access.tier === 'full' || Number(shopQuote.laborRate) > 0 ? shopQuote : { ...shopQuote, laborHours: undefined };
+    const comparison = compareShopQuote(quote, shopInput);
+    if (!comparison.ok) {
+      return res.status(400).json(comparison);
+    }
+    
+    console.log(`  ✅ Verdict: ${comparison.verdict} (${comparison.flags.length} flags, ${access.tier})`);
+    
+    if (access.tier !== 'full') {
+      return res.json({ ...teaserComparison(comparison, access), repair: quote.repair, vehicle: quote.vehicle, ...(vin && { vin }) });
     }
     
-    const repairData = yearData[normRepair];
-    if (!repairData) {
-      return res.json({ ok: false, error: 'Repair not found' });
+    res.json({
+      ...comparison,
+      repair: quote.repair,
+      shopTier: quote.shopTier,
+      location: quote.location,
+      pricingSource: quote.pricingSource,
+      vehicle: quote.vehicle,
+      access,
+      ...(vin && { vin })
+    });
+    
+  } catch (error) {
+    console.error('❌ Quote comparison error:', error);
+    res.json({ ok: false, error: error.message });
+  }
+});
+
+// ============================================================
+// GET MULTI-REPAIR ESTIMATE (Several Repairs, One Vehicle)
+// ============================================================
+app.post('/api/estimate', rateLimit('pricing'), requireDataReady, async (req, res) => {
+  const { repairSlugs, zip, laborRate, shopType, partsGrade, fallback, inflation } = req.body;
+  const { vehicle, vin, error: vinError } = bodyVehicle(req.body);
+  if (vinError) {
+    return res.json({ ok: false, error: vinError, vin });
+  }
+  const { year, make, model } = vehicle;
+  
+  console.log(`🧾 Estimate request: ${year} ${make} ${model} - ${(repairSlugs || []).length} repairs (ZIP: ${zip})`);
+  
+  try {
+    const access = resolveQuoteAccess(req, { year, make, model, repairSlugs: Array.isArray(repairSlugs) ? repairSlugs : [], zip });
+    const inputs = pricingInputs(access, { laborRate, shopType, partsGrade, inflation });
+    
+    const vehicleData = await loadVehicleData(norm(make), norm(model), { fallback: wantsFallback(fallback) });
+    const estimate = computeEstimate(vehicleData, { year, make, model, repairSlugs, zip, laborRate: inputs.laborRate, shopType: inputs.shopType, partsGrade: inputs.partsGrade }, {
+      fallback: wantsFallback(fallback),
+      productionYears: getProductionYears(),
+      inflation: wantsInflation(inputs.inflation),
+      dataVersions: getDataVersion().makes
+    });
+    
+    if (!estimate.ok) {
+      return res.json(vin ? { ...estimate, vin } : estimate);
     }
     
-    // Get labor rate information using imported function
-    const laborInfo = zip ? getLaborRate(zip) : {
-      rate: NATIONAL_AVERAGE,
-      source: 'National Average',
-      breakdown: { baseRate: NATIONAL_AVERAGE, cityPremium: 0 }
-    };
-    
-    const laborMultiplier = zip ? getLaborMultiplier(zip) : 1.0;
-    
-    // Extract pricing from nested object structure
-    let partsLow, partsHigh, laborLow, laborHigh;
-    
-    if (repairData.parts && repairData.labor) {
-      // Nested object format
-      partsLow = repairData.parts.low;
-      partsHigh = repairData.parts.high;
-      laborLow = repairData.labor.low;
-      laborHigh = repairData.labor.high;
-    } else if (repairData.PartsLow !== undefined) {
-      // Capital case format (your current format)
-      partsLow = repairData.PartsLow;
-      partsHigh = repairData.PartsHigh;
-      laborLow = repairData.LaborLow;
-      laborHigh = repairData.LaborHigh;
-    } else {
-      return res.json({ ok: false, error: 'Invalid pricing data format' });
+    console.log(`  ✅ Estimate calculated: ${estimate.count} repairs, $${estimate.price.low}-$${estimate.price.high} (${access.tier})`);
+    
+    const body = access.tier === 'full' ? { ...estimate, access } : teaserEstimate(estimate, access);
+    res.json(vin ? { ...body, vin } : body);
+    
+  } catch (error) {
+    console.error('❌ Estimate error:', error);
+    res.json({ ok: false, error: error.message });
+  }
+});
+
+// ============================================================
+// MAINTENANCE PLAN (Priced Service Schedule for the Next Few Years)
+// ============================================================
+app.post('/api/maintenance-plan', rateLimit('pricing'), requireDataReady, async (req, res) => {
+  const { zip, currentMileage, annualMileage, years, miles, shopType, partsGrade, fallback, inflation } = req.body;
+  const { vehicle, vin, error: vinError } = bodyVehicle(req.body);
+  if (vinError) {
+    return res.json({ ok: false, error: vinError, vin });
+  }
+  const { year, make, model } = vehicle;
+  
+  console.log(`🗓️  Maintenance plan: ${year} ${make} ${model} at ${currentMileage} miles (ZIP: ${zip})`);
+  
+  try {
+    const access = resolveQuoteAccess(req, { year, make, model, repairSlugs: Object.keys(getServiceIntervals(norm(make), norm(model))), zip });
+    const inputs = pricingInputs(access, { shopType, partsGrade, inflation });
+    
+    const vehicleData = await loadVehicleData(norm(make), norm(model), { fallback: wantsFallback(fallback) });
+    const plan = planMaintenance(vehicleData, { year, make, model, zip, currentMileage, annualMileage, years, miles, shopType: inputs.shopType, partsGrade: inputs.partsGrade }, {
+      fallback: wantsFallback(fallback),
+      productionYears: getProductionYears(),
+      inflation: wantsInflation(inputs.inflation),
+      dataVersions: getDataVersion().makes
+    });
+    
+    if (!plan.ok) {
+      return res.json(vin ? { ...plan, vin } : plan);
     }
     
-    // Apply regional multiplier to labor
-    const adjustedLaborLow = Math.round(laborLow * laborMultiplier);
-    const adjustedLaborHigh = Math.round(laborHigh * laborMultiplier);
+    console.log(`  ✅ ${plan.items.length} services over ${plan.horizon.months} months (to ${plan.horizon.endMileage} miles): $${plan.total.low}-$${plan.total.high} (${access.tier})`);
     
-    // Calculate totals
-    const totalLow = partsLow + adjustedLaborLow;
-    const totalHigh = partsHigh + adjustedLaborHigh;
+    const body = access.tier === 'full' ? { ...plan, access } : teaserMaintenancePlan(plan, access);
+    res.json(vin ? { ...body, vin } : body);
+    
+  } catch (error) {
+    console.error('❌ Maintenance plan error:', error);
+    res.json({ ok: false, error: error.message });
+  }
+});
+
+// ============================================================
+// PRICING HISTORY (How a repair's price moved across data generations)
+// ============================================================
+app.get('/api/pricing-history/:year/:make/:model/:repair', validateApiKey('quote'), requireDataReady, async (req, res) => {
+  const year = normYear(req.params.year);
+  const make = norm(req.params.make);
+  const model = norm(req.params.model);
+  const repairSlug = norm(req.params.repair);
+  
+  console.log(`📈 Pricing history: ${year} ${make} ${model} - ${repairSlug}`);
+  
+  try {
+    const result = await getRepairHistory({ year, make, model, repairSlug });
+    if (!result) {
+      return res.status(404).json({ ok: false, error: 'No pricing history for this vehicle and repair' });
+    }
     
-    console.log(`  ✅ Quote calculated: $${totalLow}-$${totalHigh}`);
+    // What the latest recorded price would be today
+    const latest = [...result.history].reverse().find(point => !point.removed) || null;
+    const factors = latest ? getInflationFactors(latest.generatedAt) : null;
+    const projected = factors ? {
+      from: factors.from,
+      ageYears: factors.ageYears,
+      method: factors.method,
+      indexThrough: factors.indexThrough,
+      factors: { parts: factors.parts, labor: factors.labor },
+      parts: { low: Math.round(latest.parts.low * factors.parts), high: Math.round(latest.parts.high * factors.parts) },
+      labor: { low: Math.round(latest.labor.low * factors.labor), high: Math.round(latest.labor.high * factors.labor) }
+    } : null;
     
     res.json({
       ok: true,
-      available: true,
-      price: {
-        low: totalLow,
-        high: totalHigh
-      },
-      breakdown: {
-        parts: { low: partsLow, high: partsHigh },
-        labor: { 
-          low: adjustedLaborLow, 
-          high: adjustedLaborHigh, 
-          baseRate: laborInfo.rate 
-        }
-      },
-      location: {
-        zip: zip,
-        source: laborInfo.source
-      },
-      regionalAdjustment: {
-        multiplier: Math.round(laborMultiplier * 1000) / 1000,
-        laborRate: laborInfo.rate,
-        nationalAverage: NATIONAL_AVERAGE,
-        difference: `${laborMultiplier > 1 ? '+' : ''}${Math.round((laborMultiplier - 1) * 100)}%`
-      },
-      repairTitle: repairData.RepairTitle || repairSlug,
-      vehicle: { year, make, model }
+      vehicle: { year, make, model },
+      repair: describeRepair(repairSlug),
+      generations: result.generations,
+      firstSeen: result.firstSeen,
+      history: result.history,
+      projectedToday: projected
     });
     
   } catch (error) {
-    console.error('❌ Quote error:', error);
-    res.json({ ok: false, error: error.message });
+    console.error('❌ Pricing history error:', error);
+    res.status(500).json({ ok: false, error: error.message });
   }
 });
 
 // ============================================================
 // CREATE STRIPE CHECKOUT SESSION
 // ============================================================
-app.post('/api/create-checkout-session', validateApiKey, async (req, res) => {
-  const { vehicle, repair, zip, quoteData } = req.body;
-  
-  console.log(`💳 Creating Stripe session for: ${vehicle.year} ${vehicle.make} ${vehicle.model}`);
+app.post('/api/create-checkout-session', validateApiKey('checkout'), requireDataReady, async (req, res) => {
+  const { vehicle, zip } = req.body;
+  // Accepts a single `repair` slug or a `repairs` array for a multi-repair report
+  const repairSlugs = Array.isArray(req.body.repairs) ? req.body.repairs : [req.body.repair].filter(Boolean);
   
   try {
-    if (!vehicle || !repair || !zip || !quoteData) {
-      throw new Error('Missing required fields');
+    if (!vehicle || !vehicle.year || !vehicle.make || !vehicle.model || repairSlugs.length === 0 || !zip) {
+      return res.status(400).json({ ok: false, error: 'Missing required fields' });
+    }
+    
+    console.log(`💳 Creating Stripe session for: ${vehicle.year} ${vehicle.make} ${vehicle.model} (${repairSlugs.length} repairs)`);
+    
+    // Never trust client-supplied quoteData - reprice from our own data
+    const pricedFor = { year: vehicle.year, make: vehicle.make, model: vehicle.model, zip };
+    const vehicleData = await loadVehicleData(norm(vehicle.make), norm(vehicle.model), { fallback: wantsFallback(req.body.fallback) });
+    const { laborRate, shopType, partsGrade } = req.body;
+    const estimate = computeEstimate(vehicleData, { ...pricedFor, repairSlugs, laborRate, shopType, partsGrade }, {
+      fallback: wantsFallback(req.body.fallback),
+      productionYears: getProductionYears(),
+      inflation: wantsInflation(req.body.inflation),
+      dataVersions: getDataVersion().makes
+    });
+    
+    if (!estimate.ok) {
+      console.log(`  ❌ Cannot price checkout: ${estimate.error}`);
+      return res.status(400).json({ ok: false, error: estimate.error, missingRepairs: estimate.missingRepairs });
     }
     
+    const snapshot = createQuoteSnapshot(estimate, pricedFor);
+    const quoteSignature = signQuote(snapshot);
+    
     const vehicleDesc = `${vehicle.year} ${vehicle.make.toUpperCase()} ${vehicle.model.toUpperCase()}`;
     
+    // One line item per repair: the first is the report, the rest are add-ons
+    const lineItems = estimate.lines.map((line, index) => ({
+      price_data: {
+        currency: 'usd',
+        product_data: {
+          name: index === 0 ? 'Fair Repair Auto - Pricing Report' : 'Fair Repair Auto - Additional Repair',
+          description: `${vehicleDesc} - ${line.repairSlug}`,
+        },
+        unit_amount: index === 0 ? REPORT_PRICE_CENTS : ADDITIONAL_REPAIR_PRICE_CENTS,
+      },
+      quantity: 1,
+    }));
+    
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ['card'],
-      line_items: [
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: {
-              name: 'Fair Repair Auto - Pricing Report',
-              description: `${vehicleDesc} - ${repair}`,
-            },
-            unit_amount: 999,
-          },
-          quantity: 1,
-        },
-      ],
+      line_items: lineItems,
       mode: 'payment',
       success_url: `${process.env.FRONTEND_URL || 'https://fairrepairauto.com'}/success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.FRONTEND_URL || 'https://fairrepairauto.com'}/`,
       metadata: {
-        year: vehicle.year.toString(),
-        make: vehicle.make,
-        model: vehicle.model,
-        repair: repair,
-        zip: zip,
-        priceLow: quoteData.price.low.toString(),
-        priceHigh: quoteData.price.high.toString(),
-        partsLow: quoteData.breakdown.parts.low.toString(),
-        partsHigh: quoteData.breakdown.parts.high.toString(),
-        laborLow: quoteData.breakdown.labor.low.toString(),
-        laborHigh: quoteData.breakdown.labor.high.toString(),
-        laborRate: quoteData.breakdown.labor.baseRate.toString(),
-        locationSource: quoteData.location.source
+        year: snapshot.vehicle.year,
+        make: snapshot.vehicle.make,
+        model: snapshot.vehicle.model,
+        repair: snapshot.repairs.join(',').slice(0, 500),
+        repairCount: snapshot.repairs.length.toString(),
+        zip: snapshot.zip,
+        priceLow: estimate.price.low.toString(),
+        priceHigh: estimate.price.high.toString(),
+        partsLow: estimate.breakdown.parts.low.toString(),
+        partsHigh: estimate.breakdown.parts.high.toString(),
+        laborLow: estimate.breakdown.labor.low.toString(),
+        laborHigh: estimate.breakdown.labor.high.toString(),
+        laborRate: estimate.breakdown.labor.rate.toString(),
+        laborRateSource: estimate.breakdown.labor.rateSource,
+        laborHoursLow: estimate.breakdown.labor.hours.low.toString(),
+        laborHoursHigh: estimate.breakdown.labor.hours.high.toString(),
+        shopType: estimate.shopTier.shopType,
+        partsGrade: estimate.shopTier.partsGrade,
+        locationSource: estimate.location.source,
+        derived: estimate.derived ? 'true' : 'false',
+        quoteSignature
       },
       customer_email: req.body.email || undefined,
     });
     
     console.log(`  ✅ Session created: ${session.id}`);
     
+    // Keep the full quote locally - Stripe metadata values are capped at 500 chars
+    await saveOrder(session.id, {
+      status: 'pending',
+      paymentStatus: session.payment_status,
+      vehicle: snapshot.vehicle,
+      repair: snapshot.repairs.join(','),
+      repairs: snapshot.repairs,
+      zip: snapshot.zip,
+      quote: snapshot,
+      quoteSignature,
+      email: req.body.email || null,
+      metadata: session.metadata
+    });
+    
     res.json({
       ok: true,
       sessionId: session.id,
-      url: session.url
+      url: session.url,
+      price: estimate.price,
+      amountTotal: lineItems.reduce((total, item) => total + item.price_data.unit_amount, 0)
     });
     
   } catch (error) {
@@ -403,19 +1046,64 @@ app.post('/api/create-checkout-session', validateApiKey, async (req, res) => {
 // ============================================================
 // GET SESSION DETAILS (For Success Page)
 // ============================================================
-app.get('/api/session/:sessionId', validateApiKey, async (req, res) => {
+// Stored order, confirmed with Stripe until it is paid (the webhook may not have landed yet)
+async function refreshOrder(sessionId) {
+  let order = getOrder(sessionId);
+  
+  if (!order || order.paymentStatus !== 'paid') {
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    
+    order = await saveOrder(session.id, {
+      status: session.payment_status === 'paid' ? 'paid' : (order?.status || 'pending'),
+      paymentStatus: session.payment_status,
+      email: session.customer_details?.email || order?.email || null,
+      vehicle: order?.vehicle || {
+        year: session.metadata.year,
+        make: session.metadata.make,
+        model: session.metadata.model
+      },
+      repair: order?.repair || session.metadata.repair,
+      zip: order?.zip || session.metadata.zip,
+      quote: order?.quote || quoteFromMetadata(session.metadata),
+      metadata: session.metadata,
+      paidAt: order?.paidAt || (session.payment_status === 'paid' ? new Date().toISOString() : null)
+    });
+    
+    console.log(`  ✅ Session retrieved from Stripe: ${session.payment_status}`);
+  } else {
+    console.log(`  ✅ Session served from order store: ${order.paymentStatus}`);
+  }
+  
+  return order;
+}
+
+// Signed snapshot matches the signature recorded with Stripe
+function isQuoteVerified(order) {
+  return verifyQuote(order.quote, order.quoteSignature) &&
+         order.quoteSignature === order.metadata?.quoteSignature;
+}
+
+app.get('/api/session/:sessionId', validateApiKey('session'), async (req, res) => {
   console.log(`📋 Retrieving session: ${req.params.sessionId}`);
   
   try {
-    const session = await stripe.checkout.sessions.retrieve(req.params.sessionId);
-    
-    console.log(`  ✅ Session retrieved: ${session.payment_status}`);
+    const order = await refreshOrder(req.params.sessionId);
     
     res.json({
       ok: true,
-      payment_status: session.payment_status,
-      customer_email: session.customer_details?.email,
-      metadata: session.metadata
+      payment_status: order.paymentStatus,
+      customer_email: order.email,
+      metadata: order.metadata,
+      report: {
+        vehicle: order.vehicle,
+        repair: order.repair,
+        repairs: order.repairs || String(order.repair || '').split(',').filter(Boolean),
+        zip: order.zip,
+        quote: order.quote,
+        quoteSignature: order.quoteSignature || null,
+        verified: isQuoteVerified(order),
+        paidAt: order.paidAt || null
+      }
     });
     
   } catch (error) {
@@ -427,6 +1115,202 @@ app.get('/api/session/:sessionId', validateApiKey, async (req, res) => {
   }
 });
 
+// ============================================================
+// DOWNLOAD PDF REPORT (Paid Sessions Only)
+// ============================================================
+app.get('/api/session/:sessionId/report.pdf', validateApiKey('session'), async (req, res) => {
+  console.log(`📄 Report requested: ${req.params.sessionId}`);
+  
+  try {
+    const order = await refreshOrder(req.params.sessionId);
+    
+    if (order.paymentStatus !== 'paid') {
+      console.log(`  ❌ Not paid (${order.paymentStatus})`);
+      return res.status(402).json({ ok: false, error: 'The report is available once payment is complete', payment_status: order.paymentStatus });
+    }
+    if (!order.quote) {
+      return res.status(404).json({ ok: false, error: 'No pricing recorded for this session' });
+    }
+    
+    const { reportId, buffer } = buildPricingReport(order, { verified: isQuoteVerified(order) });
+    console.log(`  ✅ Report ${reportId} generated (${buffer.length} bytes)`);
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="fair-repair-report-${reportId}.pdf"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(buffer);
+    
+  } catch (error) {
+    console.error('❌ Report generation error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// ============================================================
+// ADMIN: PRICING OVERRIDES (Admin key required, every change is audited)
+// ============================================================
+app.get('/api/admin/overrides', validateAdminKey, (req, res) => {
+  const type = req.query.type ? norm(req.query.type) : null;
+  if (type && !OVERRIDE_TYPES.includes(type)) {
+    return res.status(400).json({ ok: false, error: `type must be one of: ${OVERRIDE_TYPES.join(', ')}` });
+  }
+  
+  const overrides = listOverrides({ type });
+  res.json({ ok: true, overrides, count: overrides.length });
+});
+
+app.post('/api/admin/overrides', validateAdminKey, async (req, res) => {
+  try {
+    const result = await createOverride(req.body, req.adminActor);
+    if (result.error) {
+      return res.status(result.conflict ? 409 : 400).json({ ok: false, error: result.error, conflict: result.conflict });
+    }
+    
+    console.log(`🛠️  Override ${result.override.id} (${result.override.type}) created by ${req.adminActor}`);
+    res.status(201).json({ ok: true, override: result.override });
+    
+  } catch (error) {
+    console.error('❌ Override create error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/overrides/:id', validateAdminKey, async (req, res) => {
+  try {
+    const deleted = await deleteOverride(req.params.id, req.adminActor);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: 'Override not found' });
+    }
+    
+    console.log(`🛠️  Override ${deleted.id} (${deleted.type}) deleted by ${req.adminActor}`);
+    res.json({ ok: true, override: deleted });
+    
+  } catch (error) {
+    console.error('❌ Override delete error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/audit', validateAdminKey, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const entries = await readAuditLog(limit);
+    res.json({ ok: true, entries, count: entries.length });
+    
+  } catch (error) {
+    console.error('❌ Audit log error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// ============================================================
+// ADMIN: LABOR RATE TABLES (Reload /rates after editing; a bad table keeps the old ones)
+// ============================================================
+app.post('/api/admin/rates/reload', validateAdminKey, (req, res) => {
+  try {
+    const counts = reloadLaborRateTables();
+    console.log(`🔄 Labor rates reloaded by ${req.adminActor}`);
+    res.json({ ok: true, counts });
+    
+  } catch (error) {
+    console.error('❌ Labor rate reload rejected:', error.message);
+    res.status(422).json({ ok: false, error: error.message });
+  }
+});
+
+// ============================================================
+// ADMIN: API KEYS (Plaintext keys are only returned on create/rotate)
+// ============================================================
+app.get('/api/admin/api-keys', validateAdminKey, (req, res) => {
+  const apiKeys = listApiKeys();
+  res.json({ ok: true, apiKeys, count: apiKeys.length });
+});
+
+app.post('/api/admin/api-keys', validateAdminKey, async (req, res) => {
+  try {
+    // `key` is deliberately not accepted here - importing existing secrets is CLI-only
+    const { name, scopes, expiresAt, expiresInDays } = req.body;
+    const result = await createApiKey({ name, scopes, expiresAt, expiresInDays }, req.adminActor);
+    if (result.error) {
+      return res.status(400).json({ ok: false, error: result.error });
+    }
+    
+    console.log(`🔑 API key ${result.apiKey.id} (${result.apiKey.name}) created by ${req.adminActor}`);
+    res.status(201).json({ ok: true, apiKey: result.apiKey, key: result.key });
+    
+  } catch (error) {
+    console.error('❌ API key create error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/api-keys/:id/rotate', validateAdminKey, async (req, res) => {
+  try {
+    const result = await rotateApiKey(req.params.id, { graceHours: req.body.graceHours ?? undefined }, req.adminActor);
+    if (!result) {
+      return res.status(404).json({ ok: false, error: 'API key not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ ok: false, error: result.error });
+    }
+    
+    console.log(`🔑 API key ${req.params.id} rotated to ${result.apiKey.id} by ${req.adminActor}`);
+    res.status(201).json({ ok: true, apiKey: result.apiKey, key: result.key, previous: result.previous });
+    
+  } catch (error) {
+    console.error('❌ API key rotate error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/api-keys/:id', validateAdminKey, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id, req.adminActor);
+    if (!revoked) {
+      return res.status(404).json({ ok: false, error: 'API key not found' });
+    }
+    
+    console.log(`🔑 API key ${revoked.id} (${revoked.name}) revoked by ${req.adminActor}`);
+    res.json({ ok: true, apiKey: revoked });
+    
+  } catch (error) {
+    console.error('❌ API key revoke error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// ============================================================
+// ADMIN: REPORT EMAILS (Delivery status and support resends)
+// ============================================================
+app.get('/api/admin/emails', validateAdminKey, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const emails = listEmailJobs({ status: req.query.status, sessionId: req.query.sessionId, limit });
+  res.json({ ok: true, emails, count: emails.length });
+});
+
+app.post('/api/admin/orders/:sessionId/resend-email', validateAdminKey, async (req, res) => {
+  try {
+    // Optional `email` sends to a corrected address instead of the one on the order
+    const result = await enqueueReportEmail(req.params.sessionId, {
+      to: req.body.email,
+      reason: 'resend',
+      requestedBy: req.adminActor
+    });
+    if (result.error) {
+      return res.status(result.status).json({ ok: false, error: result.error });
+    }
+    
+    console.log(`✉️  Report email resend for ${req.params.sessionId} queued by ${req.adminActor}`);
+    res.status(202).json({ ok: true, email: result.job });
+    
+  } catch (error) {
+    console.error('❌ Email resend error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
 // ============================================================
 // WEBHOOK ENDPOINT (Optional - For Production)
 // ============================================================
@@ -445,10 +1329,26 @@ app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req,
     console.log(`🔔 Webhook received: ${event.type}`);
     
     switch (event.type) {
-      case 'checkout.session.completed':
+      case 'checkout.session.completed': {
         const session = event.data.object;
-        console.log(`  💰 Payment successful: ${session.id}`);
+        const { duplicate, order } = await recordCheckoutCompleted(event);
+        console.log(duplicate
+          ? `  ↩️  Duplicate event ${event.id} ignored (${session.id})`
+          : `  💰 Payment successful: ${session.id} - order stored`);
+        
+        // The event is only marked processed once the email is queued: if queueing
+        // throws, Stripe redelivers and the retry queues it (checkout jobs dedupe)
+        if (!duplicate && order.paymentStatus === 'paid') {
+          const queued = await enqueueReportEmail(session.id, { reason: 'checkout' });
+          console.log(queued.error
+            ? `  ⚠️  Report email not queued: ${queued.error}`
+            : `  ✉️  Report email queued for ${queued.job.to}`);
+        }
+        if (!duplicate) {
+          await markEventProcessed(event);
+        }
         break;
+      }
       
       case 'payment_intent.succeeded':
         console.log('  ✅ Payment intent succeeded');
@@ -485,7 +1385,7 @@ app.use((err, req, res, next) => {
 // ============================================================
 // START SERVER
 // ============================================================
-app.listen(PORT, () => {
+Promise.all([orderStoreReady, apiKeysReady, overrideStoreReady]).then(() => app.listen(PORT, () => {
   console.log('\n' + '='.repeat(60));
   console.log('🚀 FAIR REPAIR AUTO API v2.4');
   console.log('='.repeat(60));
@@ -494,6 +1394,6 @@ app.listen(PORT, () => {
   console.log(`💳 Stripe: ${process.env.STRIPE_SECRET_KEY ? '✅ Configured' : '❌ Not configured'}`);
   console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'Not set'}`);
   console.log('='.repeat(60) + '\n');
-});
+}));
 
 export default app;
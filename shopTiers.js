@@ -0,0 +1,122 @@
+/**
+ * SHOP TIERS MODULE
+ * Dealer / independent / chain shop types and OEM / aftermarket parts grades
+ *
+ * Configured by rates/shopTiers.json:
+ *   shopTypes     - { [type]: { labor, parts } } multipliers
+ *   partsGrades   - { [grade]: { parts } } multipliers
+ *   makeOverrides - { [make]: { shopTypes, partsGrades } } per-make replacements
+ *                   for individual multipliers (luxury dealers, pricey OEM parts)
+ *   default       - { shopType, partsGrade } tier used when a quote names none
+ *
+ * Base pricing is the default tier, so its multipliers should be 1.0.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { RATES_DIR } from './laborRateTables.js';
+
+const SHOP_TIERS_FILE = path.join(RATES_DIR, 'shopTiers.json');
+
+let config = null;
+
+const isMultiplier = (value) => typeof value === 'number' && value > 0 && value <= 5;
+
+function checkMultipliers(group, name, fields) {
+  for (const [key, multipliers] of Object.entries(group || {})) {
+    for (const field of fields) {
+      if (multipliers[field] !== undefined && !isMultiplier(multipliers[field])) {
+        throw new Error(`shopTiers.json: ${name}.${key}.${field} must be a multiplier between 0 and 5`);
+      }
+    }
+  }
+}
+
+function loadConfig() {
+  const parsed = JSON.parse(fs.readFileSync(SHOP_TIERS_FILE, 'utf-8'));
+
+  checkMultipliers(parsed.shopTypes, 'shopTypes', ['labor', 'parts']);
+  checkMultipliers(parsed.partsGrades, 'partsGrades', ['parts']);
+  for (const [make, override] of Object.entries(parsed.makeOverrides || {})) {
+    checkMultipliers(override.shopTypes, `makeOverrides.${make}.shopTypes`, ['labor', 'parts']);
+    checkMultipliers(override.partsGrades, `makeOverrides.${make}.partsGrades`, ['parts']);
+  }
+
+  const shopTypes = Object.keys(parsed.shopTypes || {});
+  const partsGrades = Object.keys(parsed.partsGrades || {});
+  if (!shopTypes.includes(parsed.default?.shopType) || !partsGrades.includes(parsed.default?.partsGrade)) {
+    throw new Error('shopTiers.json: default must name a listed shopType and partsGrade');
+  }
+
+  return {
+    shopTypes: parsed.shopTypes,
+    partsGrades: parsed.partsGrades,
+    makeOverrides: parsed.makeOverrides || {},
+    default: parsed.default,
+    updatedAt: parsed.updatedAt || null
+  };
+}
+
+/**
+ * Get the active shop tier settings
+ * @returns {object} { shopTypes, partsGrades, makeOverrides, default, updatedAt }
+ */
+export function getShopTierConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+}
+
+/**
+ * Resolve a requested tier, filling in defaults
+ * @param {object} tier - { shopType, partsGrade } (either may be omitted)
+ * @returns {object} { shopType, partsGrade } or { error }
+ */
+export function resolveShopTier({ shopType, partsGrade } = {}) {
+  const { shopTypes, partsGrades, default: defaults } = getShopTierConfig();
+  const type = shopType ? String(shopType).toLowerCase().trim() : defaults.shopType;
+  const grade = partsGrade ? String(partsGrade).toLowerCase().trim() : defaults.partsGrade;
+
+  if (!shopTypes[type]) {
+    return { error: `shopType must be one of: ${Object.keys(shopTypes).join(', ')}` };
+  }
+  if (!partsGrades[grade]) {
+    return { error: `partsGrade must be one of: ${Object.keys(partsGrades).join(', ')}` };
+  }
+  return { shopType: type, partsGrade: grade };
+}
+
+/**
+ * Multipliers for one tier on one make (make overrides win per field)
+ * @param {string} make - Normalized make
+ * @param {object} tier - resolveShopTier() result
+ * @returns {object} { labor, parts } - parts combines the shop type and parts grade
+ */
+export function getTierMultipliers(make, { shopType, partsGrade }) {
+  const { shopTypes, partsGrades, makeOverrides } = getShopTierConfig();
+  const override = makeOverrides[make] || {};
+  const shop = { ...shopTypes[shopType], ...override.shopTypes?.[shopType] };
+  const grade = { ...partsGrades[partsGrade], ...override.partsGrades?.[partsGrade] };
+
+  return {
+    labor: shop.labor ?? 1,
+    parts: (shop.parts ?? 1) * (grade.parts ?? 1)
+  };
+}
+
+/**
+ * Every shop type / parts grade combination, default tier first
+ * @returns {Array<object>} [{ shopType, partsGrade }]
+ */
+export function listShopTiers() {
+  const { shopTypes, partsGrades, default: defaults } = getShopTierConfig();
+  const tiers = [];
+  for (const shopType of Object.keys(shopTypes)) {
+    for (const partsGrade of Object.keys(partsGrades)) {
+      tiers.push({ shopType, partsGrade });
+    }
+  }
+  const isDefault = (tier) => tier.shopType === defaults.shopType && tier.partsGrade === defaults.partsGrade;
+  return [...tiers.filter(isDefault), ...tiers.filter(tier => !isDefault(tier))];
+}
@@ -0,0 +1,38 @@
+/**
+ * DATA VALIDATION COMMAND
+ * Checks data/*.json and production_years.json without starting the server
+ *
+ * Usage:
+ *   node validateData.js            human-readable report
+ *   node validateData.js --strict   exit 1 on any error
+ *   node validateData.js --json     full report as JSON
+ *
+ * Exit code is 1 when errors are found in strict mode, 0 otherwise.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadValidatedDataset, formatValidationReport } from './dataValidator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const args = process.argv.slice(2);
+const mode = args.includes('--strict') ? 'strict' : (process.env.DATA_VALIDATION || 'lenient');
+
+try {
+  const { report } = await loadValidatedDataset(__dirname, { mode });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const line of formatValidationReport(report)) {
+      console.log(line);
+    }
+  }
+
+  process.exitCode = !report.ok && mode === 'strict' ? 1 : 0;
+} catch (error) {
+  console.error('❌ Data validation could not run:', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,147 @@
+/**
+ * VEHICLE FALLBACK MODULE
+ * Borrow pricing from a nearby model year or a sibling model when the exact
+ * year/make/model has no data (opt-in, results are clearly marked as derived)
+ *
+ * Resolution order:
+ *   1. exact            - requested year/make/model
+ *   2. nearest-year     - same model, closest year within MAX_YEAR_DISTANCE
+ *   3. sibling-model    - configured platform twin, same year
+ *   4. sibling-year     - platform twin, closest year within MAX_YEAR_DISTANCE
+ *
+ * Fallback only applies to vehicles production_years.json says exist.
+ */
+
+// How far (in model years) a borrowed price may come from
+export const MAX_YEAR_DISTANCE = 3;
+
+// Platform twins that share mechanicals. Keys are `make/model` as used in data/*.json.
+export const SIBLING_MODELS = [
+  ['gmc/sierra', 'chevrolet/silverado'],
+  ['gmc/yukon', 'chevrolet/tahoe', 'cadillac/escalade'],
+  ['gmc/canyon', 'chevrolet/colorado'],
+  ['gmc/terrain', 'chevrolet/equinox'],
+  ['gmc/acadia', 'chevrolet/traverse', 'buick/enclave'],
+  ['ram/2500', 'ram/3500'],
+  ['dodge/charger', 'dodge/challenger', 'chrysler/300'],
+  ['dodge/durango', 'jeep/grand cherokee'],
+  ['jeep/wrangler', 'jeep/wrangler unlimited'],
+  ['ford/f250', 'ford/f350'],
+  ['acura/mdx', 'honda/pilot'],
+  ['acura/tlx', 'honda/accord'],
+  ['acura/ilx', 'honda/civic'],
+  ['acura/rdx', 'honda/cr-v'],
+  ['kia/optima', 'hyundai/sonata'],
+  ['kia/forte', 'hyundai/elantra'],
+  ['kia/sportage', 'hyundai/tucson'],
+  ['kia/sorento', 'hyundai/santa fe'],
+  ['kia/telluride', 'hyundai/palisade'],
+  ['kia/stinger', 'genesis/g70'],
+  ['hyundai/genesis', 'genesis/g80'],
+  ['infiniti/qx60', 'nissan/pathfinder'],
+  ['infiniti/qx80', 'nissan/armada'],
+  ['audi/q5', 'porsche/macan'],
+  ['audi/q7', 'volkswagen/atlas'],
+  ['audi/a3', 'volkswagen/golf', 'volkswagen/gti'],
+  ['toyota/camry', 'lexus/es'],
+  ['toyota/highlander', 'lexus/rx'],
+  ['toyota/4runner', 'lexus/gx'],
+  ['toyota/land cruiser', 'lexus/lx'],
+  ['toyota/rav4', 'lexus/nx'],
+  ['toyota/prius', 'lexus/ct']
+];
+
+const siblingIndex = {};
+for (const group of SIBLING_MODELS) {
+  for (const key of group) {
+    siblingIndex[key] = [...(siblingIndex[key] || []), ...group.filter(other => other !== key)];
+  }
+}
+
+/**
+ * Get configured sibling models
+ * @param {string} make - Normalized make
+ * @param {string} model - Normalized model
+ * @returns {Array<object>} [{ make, model }]
+ */
+export function getSiblingModels(make, model) {
+  return (siblingIndex[`${make}/${model}`] || []).map(key => {
+    const [siblingMake, siblingModel] = key.split('/');
+    return { make: siblingMake, model: siblingModel };
+  });
+}
+
+// Priced years of a model, closest to `year` first (older wins ties), within MAX_YEAR_DISTANCE
+function nearbyYears(modelData, year) {
+  const target = parseInt(year, 10);
+  return Object.keys(modelData)
+    .map(candidate => ({ year: candidate, distance: Math.abs(parseInt(candidate, 10) - target) }))
+    .filter(candidate => candidate.distance > 0 && candidate.distance <= MAX_YEAR_DISTANCE)
+    .sort((a, b) => a.distance - b.distance || a.year - b.year);
+}
+
+/**
+ * Find the pricing data to use for a vehicle
+ * @param {object} vehicleData - Loaded pricing data keyed by make/model/year/repair
+ * @param {object} productionYears - production_years.json contents
+ * @param {object} vehicle - { year, make, model } (normalized)
+ * @param {object} options - { fallback: boolean, repairSlug: string (require this repair) }
+ * @returns {object} { yearData, pricingSource } or { error }
+ */
+export function resolvePricingSource(vehicleData, productionYears, { year, make, model }, { fallback = false, repairSlug = null } = {}) {
+  const hasRepair = (yearData) => Boolean(yearData) && (!repairSlug || Boolean(yearData[repairSlug]));
+
+  const exactYearData = vehicleData[make]?.[model]?.[year];
+  if (hasRepair(exactYearData)) {
+    return {
+      yearData: exactYearData,
+      pricingSource: { derived: false, method: 'exact', vehicle: { year, make, model } }
+    };
+  }
+
+  // Same errors as an exact lookup when fallback is off (or the vehicle isn't real)
+  const exactError = !vehicleData[make] ? 'Make not found'
+    : !vehicleData[make][model] ? 'Model not found'
+    : !exactYearData ? 'Year not found'
+    : 'Repair not found';
+
+  const produced = (productionYears[make]?.[model] || []).map(String).includes(String(year));
+  if (!fallback || !produced) {
+    return { error: exactError };
+  }
+
+  const candidates = [];
+  if (vehicleData[make]?.[model]) {
+    for (const { year: candidateYear, distance } of nearbyYears(vehicleData[make][model], year)) {
+      candidates.push({ method: 'nearest-year', make, model, year: candidateYear, yearDistance: distance });
+    }
+  }
+  for (const sibling of getSiblingModels(make, model)) {
+    const siblingData = vehicleData[sibling.make]?.[sibling.model];
+    if (!siblingData) continue;
+
+    candidates.push({ method: 'sibling-model', ...sibling, year, yearDistance: 0 });
+    for (const { year: candidateYear, distance } of nearbyYears(siblingData, year)) {
+      candidates.push({ method: 'sibling-year', ...sibling, year: candidateYear, yearDistance: distance });
+    }
+  }
+
+  for (const candidate of candidates) {
+    const yearData = vehicleData[candidate.make]?.[candidate.model]?.[candidate.year];
+    if (!hasRepair(yearData)) continue;
+
+    return {
+      yearData,
+      pricingSource: {
+        derived: true,
+        method: candidate.method,
+        vehicle: { year: candidate.year, make: candidate.make, model: candidate.model },
+        requested: { year, make, model },
+        yearDistance: candidate.yearDistance,
+        note: `Estimate based on ${candidate.year} ${candidate.make} ${candidate.model} pricing - no exact data for ${year} ${make} ${model}`
+      }
+    };
+  }
+
+  return { error: exactError };
+}
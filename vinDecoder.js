@@ -0,0 +1,189 @@
+/**
+ * VIN DECODER MODULE
+ * Offline decoding of a 17-character VIN to the year/make/model keys used by
+ * production_years.json and data/*.json
+ *
+ * - Check digit (position 9) is validated with the standard weights; it is
+ *   only mandatory for North American VINs (WMI starting 1-5), so elsewhere a
+ *   mismatch is reported as a warning
+ * - Model year comes from position 10 (30-year cycle). For North American
+ *   VINs position 7 picks the cycle (a letter means 2010+); other regions
+ *   don't follow that convention, so the latest cycle not after next year
+ *   wins, preferring a year the make actually built
+ * - Make comes from the WMI (positions 1-3), model from the VDS (positions
+ *   4-8) using the pattern table in vin_patterns.json
+ *
+ * A VIN whose platform isn't in the table still decodes to make and year,
+ * with the make's models for that year as candidates.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const VIN_PATTERNS_FILE = path.join(__dirname, 'vin_patterns.json');
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Position 9 check digit: transliteration values and position weights
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// First WMI character of vehicles built for North America (US, Canada, Mexico),
+// where the check digit is required
+const NORTH_AMERICAN_WMI = /^[1-5]/;
+
+// Position 10 codes, in order from 1980 (repeats every 30 years)
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+let patterns = null;
+
+function loadPatterns() {
+  const parsed = JSON.parse(fs.readFileSync(VIN_PATTERNS_FILE, 'utf-8'));
+
+  const models = {};
+  for (const [make, list] of Object.entries(parsed.models || {})) {
+    models[make] = list.map(entry => ({
+      model: entry.model,
+      vds: new RegExp(entry.vds),
+      wmi: entry.wmi || null,
+      years: entry.years || null
+    }));
+  }
+
+  return { wmi: parsed.wmi || {}, models };
+}
+
+function getPatterns() {
+  if (!patterns) {
+    patterns = loadPatterns();
+  }
+  return patterns;
+}
+
+/**
+ * Compute the check digit for a VIN
+ * @param {string} vin - 17-character VIN (uppercase)
+ * @returns {string} '0'-'9' or 'X'
+ */
+export function computeCheckDigit(vin) {
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const char = vin[i];
+    const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+    sum += value * WEIGHTS[i];
+  }
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Model year from position 10
+ * @param {string} vin - 17-character VIN (uppercase)
+ * @param {object} context - { makes: string[] (from the WMI), productionYears, now: Date }
+ * @returns {number|null}
+ */
+export function decodeModelYear(vin, { makes = [], productionYears = {}, now = new Date() } = {}) {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return null;
+
+  // Position 7 is alphabetic for 2010+ model years (North American convention)
+  if (NORTH_AMERICAN_WMI.test(vin)) {
+    const cycle = /[A-Z]/.test(vin[6]) ? 2010 : 1980;
+    return cycle + index;
+  }
+
+  // Elsewhere: latest cycle that isn't past next model year, preferring one the make built
+  const latestYear = now.getFullYear() + 1;
+  const years = [1980, 2010, 2040]
+    .map(cycle => cycle + index)
+    .filter(year => year <= latestYear)
+    .reverse();
+  const built = years.find(year => makes.some(make =>
+    Object.values(productionYears[make] || {}).some(modelYears => modelYears.includes(year))
+  ));
+  return built ?? years[0];
+}
+
+/**
+ * Decode a VIN to catalog year/make/model keys
+ * @param {string} input - VIN (any case, surrounding whitespace allowed)
+ * @param {object} productionYears - production_years.json (make → model → [years])
+ * @returns {object} { ok: true, vin, year, make, model, candidates, wmi, checkDigit, inCatalog, warnings }
+ *                   or { ok: false, error, vin? }
+ */
+export function decodeVin(input, productionYears = {}) {
+  const vin = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+
+  if (!VIN_PATTERN.test(vin)) {
+    return { ok: false, error: 'VIN must be 17 characters (letters and digits, no I, O or Q)' };
+  }
+
+  const warnings = [];
+  const expected = computeCheckDigit(vin);
+  if (vin[8] !== expected) {
+    if (NORTH_AMERICAN_WMI.test(vin)) {
+      return { ok: false, vin, error: 'VIN check digit is invalid - check for typos' };
+    }
+    warnings.push('VIN check digit does not match (not required outside North America) - check for typos');
+  }
+
+  const { wmi: wmiTable, models } = getPatterns();
+  const wmi = vin.slice(0, 3);
+  const makes = wmiTable[wmi];
+
+  const year = decodeModelYear(vin, { makes: makes || [], productionYears });
+  if (!year) {
+    return { ok: false, vin, error: 'VIN model year code is invalid' };
+  }
+
+  if (!makes) {
+    return { ok: false, vin, error: `Unknown manufacturer code ${wmi}` };
+  }
+
+  const vds = vin.slice(3, 8);
+  let make = null;
+  let model = null;
+  for (const candidate of makes) {
+    const match = (models[candidate] || []).find(entry =>
+      entry.vds.test(vds) &&
+      (!entry.wmi || entry.wmi.includes(wmi)) &&
+      (!entry.years || (year >= entry.years[0] && year <= entry.years[1]))
+    );
+    if (match) {
+      make = candidate;
+      model = match.model;
+      break;
+    }
+  }
+
+  // A shared WMI without a model match leaves the make ambiguous
+  if (!make && makes.length === 1) {
+    make = makes[0];
+  }
+
+  // Without a model match, offer the make's catalog models for that year
+  const candidates = model ? [] : makes
+    .filter(name => !make || name === make)
+    .flatMap(name => Object.entries(productionYears[name] || {})
+      .filter(([, years]) => years.includes(year))
+      .map(([modelName]) => ({ make: name, model: modelName })));
+
+  return {
+    ok: true,
+    vin,
+    year: String(year),
+    make,
+    model,
+    candidates,
+    wmi,
+    checkDigit: vin[8],
+    inCatalog: Boolean(make && model && productionYears[make]?.[model]?.includes(year)),
+    warnings
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * ZIP CENTROIDS MODULE
+ * Offline ZIP code → coordinates lookup
+ * Source: US Census Bureau 2021 Gazetteer, ZIP Code Tabulation Areas (public domain)
+ *
+ * Data file: zip_centroids.csv (zip,lat,lon - one ZCTA per line, 4 decimal places)
+ * Loaded once into two Float32Arrays indexed by the numeric ZIP, so a lookup is
+ * a single array read and the whole table costs under 1 MB of memory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CENTROIDS_FILE = path.join(__dirname, 'zip_centroids.csv');
+
+// Geographic center of the contiguous US (used when a ZIP can't be placed)
+export const DEFAULT_COORDINATES = { lat: 39.8, lon: -98.5 };
+
+const latitudes = new Float32Array(100000).fill(NaN);
+const longitudes = new Float32Array(100000).fill(NaN);
+let centroidCount = 0;
+
+// Float32 storage adds noise past the 4th decimal - trim it back off
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+function loadCentroids() {
+  const lines = fs.readFileSync(CENTROIDS_FILE, 'utf-8').split('\n');
+
+  // Skip header row
+  for (let i = 1; i < lines.length; i++) {
+    const [zip, lat, lon] = lines[i].split(',');
+    if (!zip) continue;
+
+    const index = parseInt(zip, 10);
+    latitudes[index] = parseFloat(lat);
+    longitudes[index] = parseFloat(lon);
+    centroidCount++;
+  }
+}
+
+loadCentroids();
+
+/**
+ * Number of ZIP centroids loaded
+ * @returns {number}
+ */
+export function getCentroidCount() {
+  return centroidCount;
+}
+
+/**
+ * Look up coordinates for a ZIP code
+ * ZIPs without a ZCTA (PO boxes, single-building ZIPs) borrow the numerically
+ * closest ZCTA sharing their 3-digit prefix.
+ * @param {string} zip - 5-digit ZIP code
+ * @returns {object} { lat, lon, precision: 'exact' | 'zip3' | 'default' }
+ */
+export function lookupZipCentroid(zip) {
+  const index = /^\d{5}$/.test(String(zip)) ? parseInt(zip, 10) : NaN;
+
+  if (Number.isNaN(index)) {
+    return { ...DEFAULT_COORDINATES, precision: 'default' };
+  }
+
+  if (!Number.isNaN(latitudes[index])) {
+    return { lat: round4(latitudes[index]), lon: round4(longitudes[index]), precision: 'exact' };
+  }
+
+  // Nearest neighbour within the same ZIP3 (sectional center facility)
+  const prefixStart = index - (index % 100);
+  for (let offset = 1; offset < 100; offset++) {
+    for (const candidate of [index - offset, index + offset]) {
+      if (candidate < prefixStart || candidate >= prefixStart + 100) continue;
+      if (!Number.isNaN(latitudes[candidate])) {
+        return { lat: round4(latitudes[candidate]), lon: round4(longitudes[candidate]), precision: 'zip3' };
+      }
+    }
+  }
+
+  return { ...DEFAULT_COORDINATES, precision: 'default' };
+}
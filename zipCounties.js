@@ -0,0 +1,56 @@
+/**
+ * ZIP COUNTIES MODULE
+ * Offline ZIP code → county FIPS lookup
+ * Source: GeoNames postal code data (CC BY 4.0, https://www.geonames.org/)
+ *
+ * Data file: zip_counties.csv (zip,county_fips - 5-digit state+county FIPS)
+ * A ZIP that spans several counties is assigned the county GeoNames lists first.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const COUNTIES_FILE = path.join(__dirname, 'zip_counties.csv');
+
+// County FIPS per numeric ZIP (0 = unknown)
+const counties = new Int32Array(100000);
+let countyZipCount = 0;
+
+function loadCounties() {
+  const lines = fs.readFileSync(COUNTIES_FILE, 'utf-8').split('\n');
+
+  // Skip header row
+  for (let i = 1; i < lines.length; i++) {
+    const [zip, fips] = lines[i].split(',');
+    if (!zip) continue;
+
+    counties[parseInt(zip, 10)] = parseInt(fips, 10);
+    countyZipCount++;
+  }
+}
+
+loadCounties();
+
+/**
+ * Number of ZIPs with a known county
+ * @returns {number}
+ */
+export function getCountyZipCount() {
+  return countyZipCount;
+}
+
+/**
+ * Look up the county for a ZIP code
+ * @param {string} zip - 5-digit ZIP code
+ * @returns {string|null} 5-digit county FIPS code (e.g. '17031') or null if unknown
+ */
+export function lookupZipCounty(zip) {
+  if (!/^\d{5}$/.test(String(zip))) return null;
+
+  const fips = counties[parseInt(zip, 10)];
+  return fips ? String(fips).padStart(5, '0') : null;
+}